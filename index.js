@@ -1,682 +1,6301 @@
-// LINE Wakeup Bot with Database Support and Enhanced Security (Node.js)
-
-const express = require('express');
-const bodyParser = require('body-parser');
-const line = require('@line/bot-sdk');
-const dotenv = require('dotenv');
-const { Pool } = require('pg');
-const schedule = require('node-schedule');
-const dayjs = require('dayjs');
-const rateLimit = require('express-rate-limit');
-const helmet = require('helmet');
-
-dotenv.config();
-
-const app = express();
-
-// セキュリティミドルウェア
-app.use(helmet());
-app.use(rateLimit({
-  windowMs: 15 * 60 * 1000, // 15分
-  max: 100 // 最大100リクエスト
-}));
-
-app.use(bodyParser.json({ type: '*/*' }));
-
-// 環境変数の検証
-const requiredEnvVars = [
-  'LINE_CHANNEL_ACCESS_TOKEN',
-  'LINE_CHANNEL_SECRET',
-  'TARGET_USER_ID'
-];
-
-requiredEnvVars.forEach(varName => {
-  if (!process.env[varName]) {
-    console.error(`❌ 環境変数 ${varName} が設定されていません`);
-    process.exit(1);
-  }
-});
-
-// オプショナル環境変数の警告
-if (!process.env.DATABASE_URL) {
-  console.warn('⚠️ DATABASE_URL が設定されていません。メモリストレージを使用します。');
-}
-
-if (!process.env.NOTIFY_USER_IDS) {
-  console.warn('⚠️ NOTIFY_USER_IDS が設定されていません。通知機能が無効です。');
-}
-
-if (!process.env.ADMIN_USER_IDS) {
-  console.warn('⚠️ ADMIN_USER_IDS が設定されていません。管理コマンドが無効です。');
-}
-
-// LINE設定
-const config = {
-  channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
-  channelSecret: process.env.LINE_CHANNEL_SECRET
-};
-
-const client = new line.Client(config);
-const targetUserId = process.env.TARGET_USER_ID;
-const notifyUserIds = process.env.NOTIFY_USER_IDS?.split(',').filter(id => id.trim()) || [];
-const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').filter(id => id.trim()) || [];
-
-// データベース設定
-let pool = null;
-let useDatabase = false;
-
-if (process.env.DATABASE_URL) {
-  try {
-    pool = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-    });
-    useDatabase = true;
-    console.log('✅ データベース設定を検出しました');
-  } catch (error) {
-    console.warn('⚠️ データベース設定エラー、ファイルストレージにフォールバック:', error.message);
-  }
-} else {
-  console.log('ℹ️ データベース未設定、メモリストレージを使用します');
-}
-
-// メモリベースのストレージ（データベースが利用できない場合）
-let memoryStorage = {
-  excludeDates: [],
-  customTimes: {},
-  logs: []
-};
-
-let intervalId = null;
-let hasResponded = false;
-let displayNameCache = {};
-
-// データベース初期化
-async function initializeDatabase() {
-  if (!useDatabase) {
-    console.log('✅ メモリストレージ初期化完了');
-    return;
-  }
-
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS schedule_settings (
-        id SERIAL PRIMARY KEY,
-        date VARCHAR(10) UNIQUE NOT NULL,
-        is_excluded BOOLEAN DEFAULT FALSE,
-        custom_hour INTEGER,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS bot_logs (
-        id SERIAL PRIMARY KEY,
-        event_type VARCHAR(50) NOT NULL,
-        user_id VARCHAR(100),
-        message TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    console.log('✅ データベース初期化完了');
-  } catch (error) {
-    console.warn('⚠️ データベース初期化エラー、メモリストレージにフォールバック:', error.message);
-    useDatabase = false;
-    pool = null;
-  }
-}
-
-// スケジュール管理
-async function loadSchedule() {
-  if (!useDatabase) {
-    return {
-      exclude: memoryStorage.excludeDates,
-      change: memoryStorage.customTimes
-    };
-  }
-
-  try {
-    const excludeResult = await pool.query(
-      'SELECT date FROM schedule_settings WHERE is_excluded = TRUE'
-    );
-    const changeResult = await pool.query(
-      'SELECT date, custom_hour FROM schedule_settings WHERE custom_hour IS NOT NULL'
-    );
-    
-    const exclude = excludeResult.rows.map(row => row.date);
-    const change = {};
-    changeResult.rows.forEach(row => {
-      change[row.date] = row.custom_hour.toString();
-    });
-    
-    return { exclude, change };
-  } catch (error) {
-    console.error('スケジュール読み込みエラー:', error);
-    return { exclude: [], change: {} };
-  }
-}
-
-async function addExcludeDate(date) {
-  if (!useDatabase) {
-    if (!memoryStorage.excludeDates.includes(date)) {
-      memoryStorage.excludeDates.push(date);
-    }
-    return;
-  }
-
-  try {
-    await pool.query(`
-      INSERT INTO schedule_settings (date, is_excluded) 
-      VALUES ($1, TRUE) 
-      ON CONFLICT (date) 
-      DO UPDATE SET is_excluded = TRUE, updated_at = NOW()
-    `, [date]);
-  } catch (error) {
-    console.error('除外日追加エラー:', error);
-    throw error;
-  }
-}
-
-async function removeExcludeDate(date) {
-  if (!useDatabase) {
-    memoryStorage.excludeDates = memoryStorage.excludeDates.filter(d => d !== date);
-    return;
-  }
-
-  try {
-    await pool.query(
-      'UPDATE schedule_settings SET is_excluded = FALSE, updated_at = NOW() WHERE date = $1',
-      [date]
-    );
-  } catch (error) {
-    console.error('除外日削除エラー:', error);
-    throw error;
-  }
-}
-
-async function setCustomTime(date, hour) {
-  if (!useDatabase) {
-    memoryStorage.customTimes[date] = hour.toString();
-    return;
-  }
-
-  try {
-    await pool.query(`
-      INSERT INTO schedule_settings (date, custom_hour) 
-      VALUES ($1, $2) 
-      ON CONFLICT (date) 
-      DO UPDATE SET custom_hour = $2, updated_at = NOW()
-    `, [date, parseInt(hour)]);
-  } catch (error) {
-    console.error('カスタム時間設定エラー:', error);
-    throw error;
-  }
-}
-
-// ログ記録
-async function logEvent(eventType, userId = null, message = null) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    eventType,
-    userId,
-    message
-  };
-
-  if (!useDatabase) {
-    memoryStorage.logs.push(logEntry);
-    // メモリ使用量制限のため、最新1000件のみ保持
-    if (memoryStorage.logs.length > 1000) {
-      memoryStorage.logs = memoryStorage.logs.slice(-1000);
-    }
-    console.log(`📝 [${eventType}] ${userId || 'system'}: ${message || ''}`);
-    return;
-  }
-
-  try {
-    await pool.query(
-      'INSERT INTO bot_logs (event_type, user_id, message) VALUES ($1, $2, $3)',
-      [eventType, userId, message]
-    );
-  } catch (error) {
-    console.error('ログ記録エラー:', error);
-    // データベースエラーの場合、コンソールに出力
-    console.log(`📝 [${eventType}] ${userId || 'system'}: ${message || ''}`);
-  }
-}
-
-// ユーザー名取得（キャッシュ付き）
-async function getDisplayName(userId) {
-  if (displayNameCache[userId]) {
-    return displayNameCache[userId];
-  }
-  
-  try {
-    const profile = await client.getProfile(userId);
-    displayNameCache[userId] = profile.displayName;
-    return profile.displayName;
-  } catch (error) {
-    console.error('プロフィール取得エラー:', error);
-    return `User(${userId.slice(-8)})`;
-  }
-}
-
-// 起床メッセージ送信
-async function sendWakeupMessage() {
-  try {
-    await client.pushMessage(targetUserId, {
-      type: 'text',
-      text: 'おはよう〜！起きてる？？👀'
-    });
-    await logEvent('wakeup_sent', targetUserId);
-  } catch (error) {
-    console.error('起床メッセージ送信エラー:', error);
-    await logEvent('wakeup_error', targetUserId, error.message);
-  }
-}
-
-// 起床メッセージ開始
-async function startWakeupMessages(startHour) {
-  hasResponded = false;
-  await sendWakeupMessage();
-  
-  // 5分間隔でリマインダー
-  intervalId = setInterval(async () => {
-    if (!hasResponded) {
-      await sendWakeupMessage();
-    }
-  }, 5 * 60 * 1000);
-  
-  // 1時間後にタイムアウト処理
-  setTimeout(async () => {
-    clearInterval(intervalId);
-    if (!hasResponded) {
-      try {
-        const name = await getDisplayName(targetUserId);
-        const message = `⚠️ ${name} は1時間返事がありませんでした…`;
-        
-        for (const uid of notifyUserIds) {
-          await client.pushMessage(uid, {
-            type: 'text',
-            text: message
-          });
-        }
-        
-        await logEvent('timeout_notification', targetUserId);
-      } catch (error) {
-        console.error('タイムアウト通知エラー:', error);
-      }
-    }
-  }, 60 * 60 * 1000);
-}
-
-// コマンド処理
-async function handleCommand(event) {
-  const { text } = event.message;
-  const userId = event.source.userId;
-  
-  try {
-    console.log(`🎮 コマンド処理開始: "${text}" from ${userId}`);
-    await logEvent('command_received', userId, text);
-    
-    // 管理者権限チェック
-    if (!adminUserIds.includes(userId)) {
-      console.log(`🚫 非管理者からのアクセス: ${userId}`);
-      
-      // replyTokenが存在する場合のみ返信
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: '申し訳ありませんが、このアカウントでは個別のお問い合わせを受け付けておりません。次の配信までお待ちください'
-        });
-      }
-      return;
-    }
-    
-    console.log(`✅ 管理者アクセス確認: ${userId}`);
-    const schedule = await loadSchedule();
-    
-    // コマンド処理
-    if (text === '一覧') {
-      const excludeList = schedule.exclude.length > 0 ? schedule.exclude.join(', ') : 'なし';
-      const changeList = Object.entries(schedule.change).length > 0 
-        ? Object.entries(schedule.change).map(([d, t]) => `${d} → ${t}時`).join(', ') 
-        : 'なし';
-      
-      const listText = `📅 スケジュール設定\n\n除外日: ${excludeList}\n変更日: ${changeList}`;
-      
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: listText
-        });
-      }
-      console.log('📋 一覧表示完了');
-      return;
-    }
-    
-    if (text.startsWith('除外 ')) {
-      const date = text.split(' ')[1];
-      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-        if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-          await client.replyMessage(event.replyToken, {
-            type: 'text',
-            text: '❌ 日付の形式が正しくありません。YYYY-MM-DD形式で入力してください。'
-          });
-        }
-        return;
-      }
-      
-      await addExcludeDate(date);
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: `✅ ${date} を除外日に追加しました。`
-        });
-      }
-      console.log(`📅 除外日追加: ${date}`);
-      return;
-    }
-    
-    if (text.startsWith('除外削除 ')) {
-      const date = text.split(' ')[1];
-      await removeExcludeDate(date);
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: `✅ ${date} を除外日から削除しました。`
-        });
-      }
-      console.log(`📅 除外日削除: ${date}`);
-      return;
-    }
-    
-    if (text.startsWith('変更 ')) {
-      const parts = text.split(' ');
-      const date = parts[1];
-      const hour = parts[2];
-      
-      if (!date || !hour || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(hour) || hour < 0 || hour > 23) {
-        if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-          await client.replyMessage(event.replyToken, {
-            type: 'text',
-            text: '❌ 形式が正しくありません。例: 変更 2024-01-01 9'
-          });
-        }
-        return;
-      }
-      
-      await setCustomTime(date, hour);
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: `✅ ${date} の起動時刻を ${hour} 時に変更しました。`
-        });
-      }
-      console.log(`⏰ 時刻変更: ${date} → ${hour}時`);
-      return;
-    }
-    
-    // ヘルプメッセージ
-    if (text === 'ヘルプ' || text === 'help') {
-      const helpText = `🤖 コマンド一覧\n\n` +
-        `一覧 - 現在の設定を表示\n` +
-        `除外 YYYY-MM-DD - 指定日を除外\n` +
-        `除外削除 YYYY-MM-DD - 除外日を削除\n` +
-        `変更 YYYY-MM-DD 時間 - 起動時刻を変更\n` +
-        `ヘルプ - このメッセージを表示`;
-      
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: helpText
-        });
-      }
-      console.log('❓ ヘルプ表示完了');
-      return;
-    }
-    
-    console.log(`ℹ️ 未知のコマンド: ${text}`);
-    
-  } catch (error) {
-    console.error('❌ コマンド処理エラー:', error);
-    console.error('Error details:', error.stack);
-    
-    try {
-      if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
-        await client.replyMessage(event.replyToken, {
-          type: 'text',
-          text: '❌ エラーが発生しました。しばらく後でお試しください。'
-        });
-      }
-    } catch (replyError) {
-      console.error('❌ エラー返信失敗:', replyError);
-    }
-    
-    await logEvent('command_error', userId, `${text}: ${error.message}`);
-  }
-}
-
-// Webhook処理
-app.post('/webhook', line.middleware(config), async (req, res) => {
-  console.log('🔄 Webhook受信:', JSON.stringify(req.body, null, 2));
-  
-  try {
-    // イベントが存在しない場合の対応
-    if (!req.body.events || req.body.events.length === 0) {
-      console.log('ℹ️ イベントなし、200で応答');
-      res.status(200).end();
-      return;
-    }
-
-    await Promise.all(req.body.events.map(async (event) => {
-      console.log(`📥 イベント処理: ${event.type}`, event);
-      
-      try {
-        if (event.type === 'message' && event.message.type === 'text') {
-          console.log(`💬 テキストメッセージ: ${event.message.text} from ${event.source.userId}`);
-          
-          // コマンド処理
-          await handleCommand(event);
-          
-          // ターゲットユーザーからの返信処理
-          if (event.source.userId === targetUserId) {
-            console.log('🎯 ターゲットユーザーからの返信');
-            hasResponded = true;
-            clearInterval(intervalId);
-            
-            try {
-              const name = await getDisplayName(targetUserId);
-              const message = `🟢 ${name} が返信しました！`;
-              
-              if (notifyUserIds.length > 0) {
-                await Promise.all(notifyUserIds.map(uid => 
-                  client.pushMessage(uid, {
-                    type: 'text',
-                    text: message
-                  })
-                ));
-                console.log(`📤 通知送信完了: ${notifyUserIds.length}人`);
-              }
-              
-              await logEvent('user_responded', targetUserId);
-            } catch (error) {
-              console.error('返信通知エラー:', error);
-              await logEvent('notification_error', targetUserId, error.message);
-            }
-          }
-        } else if (event.type === 'follow') {
-          console.log('👋 新しいフォロー:', event.source.userId);
-          await logEvent('user_follow', event.source.userId);
-        } else if (event.type === 'unfollow') {
-          console.log('👋 アンフォロー:', event.source.userId);
-          await logEvent('user_unfollow', event.source.userId);
-        } else {
-          console.log(`ℹ️ 未対応イベント: ${event.type}`);
-        }
-      } catch (eventError) {
-        console.error(`❌ イベント処理エラー [${event.type}]:`, eventError);
-        await logEvent('event_error', event.source?.userId, `${event.type}: ${eventError.message}`);
-      }
-    }));
-    
-    console.log('✅ Webhook処理完了、200で応答');
-    res.status(200).end();
-  } catch (error) {
-    console.error('❌ Webhook処理エラー:', error);
-    console.error('Error stack:', error.stack);
-    await logEvent('webhook_error', null, error.message);
-    
-    // エラーでも200を返す（LINEの推奨）
-    res.status(200).end();
-  }
-});
-
-// ヘルスチェック
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'LINE Wakeup Bot',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Webhook検証用エンドポイント
-app.get('/webhook', (req, res) => {
-  console.log('📞 Webhook GET request received');
-  res.status(200).send('Webhook endpoint is working');
-});
-
-// デバッグ用エンドポイント
-app.get('/debug', async (req, res) => {
-  try {
-    const schedule = await loadSchedule();
-    const debugInfo = {
-      timestamp: new Date().toISOString(),
-      server: {
-        port: port,
-        nodeEnv: process.env.NODE_ENV,
-        storage: useDatabase ? 'database' : 'memory'
-      },
-      config: {
-        targetUserId: targetUserId ? `${targetUserId.slice(0, 8)}...` : 'not_set',
-        notifyUsers: notifyUserIds.length,
-        adminUsers: adminUserIds.length,
-        hasDatabase: !!process.env.DATABASE_URL
-      },
-      schedule: schedule,
-      memory: useDatabase ? null : memoryStorage,
-      botStatus: {
-        hasResponded: hasResponded,
-        intervalActive: !!intervalId
-      }
-    };
-    
-    res.json(debugInfo);
-  } catch (error) {
-    res.status(500).json({ error: error.message, stack: error.stack });
-  }
-});
-
-app.get('/health', async (req, res) => {
-  try {
-    if (useDatabase) {
-      await pool.query('SELECT 1');
-      res.json({ 
-        status: 'healthy', 
-        database: 'connected',
-        storage: 'database'
-      });
-    } else {
-      res.json({ 
-        status: 'healthy', 
-        database: 'not_configured',
-        storage: 'memory',
-        excludeDates: memoryStorage.excludeDates.length,
-        customTimes: Object.keys(memoryStorage.customTimes).length,
-        logs: memoryStorage.logs.length
-      });
-    }
-  } catch (error) {
-    res.status(500).json({ 
-      status: 'unhealthy', 
-      database: 'disconnected',
-      error: error.message 
-    });
-  }
-});
-
-// スケジューラー（毎分チェック、より精密な制御）
-schedule.scheduleJob('*/1 * * * *', async () => {
-  const now = dayjs();
-  
-  try {
-    const schedule = await loadSchedule();
-    const today = now.format('YYYY-MM-DD');
-    
-    // 除外日チェック
-    if (schedule.exclude.includes(today)) {
-      return;
-    }
-    
-    // 起動時刻決定
-    const startHour = schedule.change[today] || '8';
-    
-    // 正確な時刻チェック（秒も考慮）
-    if (now.hour() === Number(startHour) && now.minute() === 0 && now.second() < 10) {
-      console.log(`⏰ ${startHour}:00 - Wakeup Botスタート (${today})`);
-      await logEvent('bot_started', null, `Start time: ${startHour}:00`);
-      await startWakeupMessages(startHour);
-    }
-  } catch (error) {
-    console.error('スケジューラーエラー:', error);
-    await logEvent('scheduler_error', null, error.message);
-  }
-});
-
-// サーバー起動
-const port = process.env.PORT || 3000;
-
-async function startServer() {
-  try {
-    await initializeDatabase();
-    
-    app.listen(port, () => {
-      console.log(`🚀 Server running on port ${port}`);
-      console.log(`💾 Storage: ${useDatabase ? 'Database (PostgreSQL)' : 'Memory (temporary)'}`);
-      console.log(`📱 Target User: ${targetUserId}`);
-      console.log(`👥 Notify Users: ${notifyUserIds.length} users`);
-      console.log(`👑 Admin Users: ${adminUserIds.length} users`);
-      
-      if (!useDatabase) {
-        console.log('⚠️  注意: メモリストレージを使用中。再起動でデータが消失します。');
-        console.log('   データベースを使用するには DATABASE_URL 環境変数を設定してください。');
-      }
-    });
-  } catch (error) {
-    console.error('❌ サーバー起動エラー:', error);
-    process.exit(1);
-  }
-}
-
-// グレースフルシャットダウン
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM受信、サーバーを終了します...');
-  clearInterval(intervalId);
-  if (useDatabase && pool) {
-    await pool.end();
-  }
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  console.log('SIGINT受信、サーバーを終了します...');
-  clearInterval(intervalId);
-  if (useDatabase && pool) {
-    await pool.end();
-  }
-  process.exit(0);
-});
-
-startServer();
+// LINE Wakeup Bot with Database Support and Enhanced Security (Node.js)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const line = require('@line/bot-sdk');
+const dotenv = require('dotenv');
+const { Pool } = require('pg');
+const schedule = require('node-schedule');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+
+dotenv.config();
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const app = express();
+
+// セキュリティミドルウェア
+app.use(helmet());
+app.use(rateLimit({
+  windowMs: 15 * 60 * 1000, // 15分
+  max: 100, // 最大100リクエスト
+  // Prometheus は短い間隔で取りに来るので /metrics は数えない（METRICS_TOKEN なしでは取得できない）
+  skip: req => req.path === '/metrics'
+}));
+
+// 署名の検証（line.middleware）には受信したままの本文が必要なので rawBody に残す
+app.use(bodyParser.json({
+  type: '*/*',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// 環境変数の検証
+const requiredEnvVars = [
+  'LINE_CHANNEL_ACCESS_TOKEN',
+  'LINE_CHANNEL_SECRET'
+];
+
+requiredEnvVars.forEach(varName => {
+  if (!process.env[varName]) {
+    console.error(`❌ 環境変数 ${varName} が設定されていません`);
+    process.exit(1);
+  }
+});
+
+if (!process.env.TARGET_USERS && !process.env.TARGET_USER_ID) {
+  console.warn('⚠️ TARGET_USERS も TARGET_USER_ID も設定されていません。「招待 ターゲット」で登録するまで起床確認は行いません。');
+}
+
+// オプショナル環境変数の警告
+if (!process.env.DATABASE_URL && !process.env.STORAGE) {
+  console.warn('⚠️ DATABASE_URL も STORAGE も設定されていません。メモリストレージを使用します。');
+}
+
+if (!process.env.NOTIFY_USER_IDS) {
+  console.warn('⚠️ NOTIFY_USER_IDS が設定されていません。通知機能が無効です。');
+}
+
+if (!process.env.ADMIN_USER_IDS) {
+  console.warn('⚠️ ADMIN_USER_IDS が設定されていません。登録済みの管理者がいない場合、管理コマンドが使えません。');
+}
+
+if (!process.env.ADMIN_API_TOKEN) {
+  console.warn('⚠️ ADMIN_API_TOKEN が設定されていません。管理API・デバッグ用エンドポイントが無効です。');
+}
+
+if (!process.env.METRICS_TOKEN) {
+  console.warn('⚠️ METRICS_TOKEN が設定されていません。/metrics が無効です。');
+}
+
+// LINE設定
+const config = {
+  channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+  channelSecret: process.env.LINE_CHANNEL_SECRET
+};
+
+let client = new line.Client(config);
+// 環境変数のユーザー設定は初回起動時の登録に使う（以降は保存済みのユーザーと役割に従う）
+const notifyUserIds = process.env.NOTIFY_USER_IDS?.split(',').filter(id => id.trim()) || [];
+const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').filter(id => id.trim()) || [];
+
+// 時計（タイマーと現在時刻はすべてここを通す、シミュレーションでは仮想時計に差し替える）
+let clock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: id => clearInterval(id)
+};
+
+// シミュレーション・テスト用に時計と LINE クライアントを差し替える
+function setRuntime({ clock: nextClock, client: nextClient } = {}) {
+  if (nextClock) {
+    clock = nextClock;
+  }
+  if (nextClient) {
+    client = nextClient;
+  }
+}
+
+// 時刻ユーティリティ
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+// 表示用の曜日名（言語ごと、入力の解釈には WEEKDAY_LABELS を使う）
+const WEEKDAY_NAMES = { ja: WEEKDAY_LABELS, en: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] };
+
+function isValidTimezone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// タイムゾーン（未設定時は日本時間、サーバーのTZ設定には依存しない）
+const defaultTimezone = process.env.TIMEZONE || 'Asia/Tokyo';
+if (!isValidTimezone(defaultTimezone)) {
+  console.error(`❌ TIMEZONE の値が正しくありません: ${defaultTimezone}`);
+  process.exit(1);
+}
+
+// ターゲットのタイムゾーンでの日付（YYYY-MM-DD）
+function todayIn(zone) {
+  return dayjs(clock.now()).tz(zone).format('YYYY-MM-DD');
+}
+
+// 日付キーを暦日として扱う（曜日判定・日付の加算用、時刻やタイムゾーンは持たない）
+function calendarDay(date) {
+  return dayjs(date);
+}
+
+// 指定日・時刻の実際の時刻（夏時間で存在しない時刻は後ろにずれる）
+function zonedDateTime(date, time, zone) {
+  return dayjs.tz(`${date} ${time}`, zone);
+}
+
+// "7" / "7:30" / "07:30" を "HH:MM" に正規化（不正な場合は null）
+function parseTime(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// 英語の日付・曜日指定（today / tomorrow / in 3 days / mon / next fri / every sat / weekdays など）を日本語の形式に置き換える
+const ENGLISH_WEEKDAYS = { sun: '日', mon: '月', tue: '火', wed: '水', thu: '木', fri: '金', sat: '土' };
+const ENGLISH_DATE_WORDS = {
+  today: '今日',
+  tomorrow: '明日',
+  weekday: '平日',
+  weekdays: '平日',
+  weekend: '土日',
+  weekends: '土日',
+  daily: '毎日',
+  everyday: '毎日'
+};
+
+function normalizeEnglishDate(value) {
+  if (!/[a-z]/i.test(value)) {
+    return value;
+  }
+  return value.toLowerCase()
+    .replace(/\bin\s*(\d{1,3})\s*days?\b/g, '$1日後')
+    .replace(/\b[a-z]+\b/g, word => ENGLISH_DATE_WORDS[word] || word)
+    .replace(/\bthis\s*/g, '今週')
+    .replace(/\bnext\s*/g, '来週')
+    .replace(/\bevery\s*/g, '毎週')
+    .replace(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/g, (match, day) => ENGLISH_WEEKDAYS[day]);
+}
+
+// 空白で引数を区切るコマンド用に、英語の日付指定（next mon / in 3 days など）を1語にまとめる
+function joinDateWords(text) {
+  return text
+    .replace(/\bin\s+(\d{1,3})\s+(days?)\b/gi, 'in$1$2')
+    .replace(/\b(this|next|every)\s+(?=[a-z])/gi, '$1');
+}
+
+// "平日" / "土日" / "毎日" / "月,水,金" などを曜日番号の配列に変換（不正な場合は null）
+function parseWeekdays(value) {
+  if (!value) {
+    return null;
+  }
+  value = normalizeEnglishDate(value);
+  if (value === '毎日') {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+  if (value === '平日') {
+    return [1, 2, 3, 4, 5];
+  }
+  if (value === '土日' || value === '週末') {
+    return [0, 6];
+  }
+
+  const days = value.replace(/曜日?/g, '').split(/[,、・]/);
+  const weekdays = days.map(day => WEEKDAY_LABELS.indexOf(day));
+  if (weekdays.some(day => day === -1)) {
+    return null;
+  }
+  return [...new Set(weekdays)].sort();
+}
+
+// 日付指定の解釈（ターゲットのタイムゾーンの今日を基準にする）
+const MAX_DATE_RANGE_DAYS = 62;
+const RECURRING_WEEKS = 8;
+
+function parseSingleDate(expr, today) {
+  const full = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(expr);
+  if (full) {
+    const date = `${full[1]}-${full[2].padStart(2, '0')}-${full[3].padStart(2, '0')}`;
+    return calendarDay(date).format('YYYY-MM-DD') === date ? calendarDay(date) : null;
+  }
+
+  // M/D は今日以降で最も近い日
+  const monthDay = /^(\d{1,2})\/(\d{1,2})$/.exec(expr);
+  if (monthDay) {
+    for (const year of [today.year(), today.year() + 1]) {
+      const date = `${year}-${monthDay[1].padStart(2, '0')}-${monthDay[2].padStart(2, '0')}`;
+      const day = calendarDay(date);
+      if (day.format('YYYY-MM-DD') !== date) {
+        return null;
+      }
+      if (!day.isBefore(today)) {
+        return day;
+      }
+    }
+    return null;
+  }
+
+  const relative = { 今日: 0, きょう: 0, 明日: 1, あした: 1, 明後日: 2, あさって: 2 };
+  if (expr in relative) {
+    return today.add(relative[expr], 'day');
+  }
+  const daysLater = /^(\d{1,3})日後$/.exec(expr);
+  if (daysLater) {
+    return today.add(Number(daysLater[1]), 'day');
+  }
+
+  // 曜日のみは今日以降で最も近い日、今週/来週/再来週は月曜始まりの週
+  const weekday = /^(今週|来週|再来週)?([日月火水木金土])(?:曜日?)?$/.exec(expr);
+  if (weekday) {
+    const target = WEEKDAY_LABELS.indexOf(weekday[2]);
+    if (!weekday[1]) {
+      return today.add((target - today.day() + 7) % 7, 'day');
+    }
+    const monday = today.subtract((today.day() + 6) % 7, 'day');
+    const weeks = { 今週: 0, 来週: 1, 再来週: 2 }[weekday[1]];
+    return monday.add(weeks * 7 + (target + 6) % 7, 'day');
+  }
+
+  return null;
+}
+
+// 日付・範囲・毎週指定を日付（YYYY-MM-DD）の配列に展開（不正な場合は null）
+function parseDateExpression(value, zone) {
+  const expr = normalizeEnglishDate(String(value || '').normalize('NFKC').trim());
+  const today = calendarDay(todayIn(zone));
+
+  const recurring = /^毎週(.+)$/.exec(expr);
+  if (recurring) {
+    const weekdays = parseWeekdays(recurring[1]);
+    if (!weekdays) {
+      return null;
+    }
+    const dates = [];
+    for (let i = 0; i < RECURRING_WEEKS * 7; i++) {
+      const day = today.add(i, 'day');
+      if (weekdays.includes(day.day())) {
+        dates.push(day.format('YYYY-MM-DD'));
+      }
+    }
+    return dates;
+  }
+
+  const range = expr.split(/[〜~]/);
+  if (range.length === 2) {
+    const from = parseSingleDate(range[0], today);
+    const to = parseSingleDate(range[1], today);
+    if (!from || !to || to.isBefore(from) || to.diff(from, 'day') >= MAX_DATE_RANGE_DAYS) {
+      return null;
+    }
+    const dates = [];
+    for (let day = from; !day.isAfter(to); day = day.add(1, 'day')) {
+      dates.push(day.format('YYYY-MM-DD'));
+    }
+    return dates;
+  }
+
+  const day = range.length === 1 ? parseSingleDate(expr, today) : null;
+  return day ? [day.format('YYYY-MM-DD')] : null;
+}
+
+function formatDateList(dates, lang = DEFAULT_LANGUAGE) {
+  return dates.map(date => {
+    const day = calendarDay(date);
+    return `${day.format('YYYY/M/D')}(${WEEKDAY_NAMES[lang][day.day()]})`;
+  }).join(', ');
+}
+
+// 祝日カレンダー（祝日法に基づいてオフラインで算出、2000〜2099年対応）
+const holidayCache = new Map();
+
+function nthMonday(year, month, nth) {
+  const first = dayjs(new Date(year, month - 1, 1));
+  return first.add((8 - first.day()) % 7 + (nth - 1) * 7, 'day');
+}
+
+function getHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const holidays = new Map();
+  const add = (month, day, name) => holidays.set(dayjs(new Date(year, month - 1, day)).format('YYYY-MM-DD'), name);
+  const addDay = (day, name) => holidays.set(day.format('YYYY-MM-DD'), name);
+  const equinox = base => Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+
+  add(1, 1, '元日');
+  addDay(nthMonday(year, 1, 2), '成人の日');
+  add(2, 11, '建国記念の日');
+  if (year >= 2020) {
+    add(2, 23, '天皇誕生日');
+  }
+  add(3, equinox(20.8431), '春分の日');
+  add(4, 29, year >= 2007 ? '昭和の日' : 'みどりの日');
+  add(5, 3, '憲法記念日');
+  if (year >= 2007) {
+    add(5, 4, 'みどりの日');
+  }
+  add(5, 5, 'こどもの日');
+
+  // 東京オリンピック・パラリンピックによる2020・2021年の移動
+  if (year === 2020) {
+    add(7, 23, '海の日');
+    add(7, 24, 'スポーツの日');
+    add(8, 10, '山の日');
+  } else if (year === 2021) {
+    add(7, 22, '海の日');
+    add(7, 23, 'スポーツの日');
+    add(8, 8, '山の日');
+  } else {
+    if (year >= 2003) {
+      addDay(nthMonday(year, 7, 3), '海の日');
+    } else {
+      add(7, 20, '海の日');
+    }
+    if (year >= 2016) {
+      add(8, 11, '山の日');
+    }
+    addDay(nthMonday(year, 10, 2), year >= 2020 ? 'スポーツの日' : '体育の日');
+  }
+
+  if (year >= 2003) {
+    addDay(nthMonday(year, 9, 3), '敬老の日');
+  } else {
+    add(9, 15, '敬老の日');
+  }
+  add(9, equinox(23.2488), '秋分の日');
+  add(11, 3, '文化の日');
+  add(11, 23, '勤労感謝の日');
+  if (year <= 2018) {
+    add(12, 23, '天皇誕生日');
+  }
+  if (year === 2019) {
+    add(5, 1, '即位の日');
+    add(10, 22, '即位礼正殿の儀');
+  }
+
+  // 国民の休日（祝日に挟まれた平日）
+  for (const date of [...holidays.keys()]) {
+    const next = dayjs(date).add(1, 'day');
+    const afterNext = next.add(1, 'day').format('YYYY-MM-DD');
+    if (holidays.has(afterNext) && !holidays.has(next.format('YYYY-MM-DD')) && next.day() !== 0) {
+      addDay(next, '国民の休日');
+    }
+  }
+
+  // 振替休日（日曜の祝日の後の最初の平日）
+  for (const date of [...holidays.keys()]) {
+    if (dayjs(date).day() !== 0) {
+      continue;
+    }
+    let substitute = dayjs(date).add(1, 'day');
+    while (holidays.has(substitute.format('YYYY-MM-DD'))) {
+      substitute = substitute.add(1, 'day');
+    }
+    addDay(substitute, '振替休日');
+  }
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+function getHolidayName(date) {
+  return getHolidays(Number(date.slice(0, 4))).get(date) || null;
+}
+
+// 祝日の扱い（off: 通常通り / skip: 除外 / shift: 指定時刻に変更）
+function parseHolidaySetting(mode, time, label) {
+  const holidayMode = mode || 'off';
+  if (!['off', 'skip', 'shift'].includes(holidayMode)) {
+    console.error(`❌ ${label} の祝日モードは off / skip / shift のいずれかで指定してください`);
+    process.exit(1);
+  }
+  const holidayTime = parseTime(time);
+  if (holidayMode === 'shift' && !holidayTime) {
+    console.error(`❌ ${label} の祝日モード shift には時刻（HH:MM）が必要です`);
+    process.exit(1);
+  }
+  return { holidayMode, holidayTime };
+}
+
+const defaultHolidaySetting = parseHolidaySetting(process.env.HOLIDAY_MODE, process.env.HOLIDAY_TIME, 'HOLIDAY_MODE');
+
+// ターゲットユーザー登録
+// TARGET_USERS (JSON配列) で複数指定できる。未設定の場合は TARGET_USER_ID を単一ターゲットとして扱う
+// 例: [{"key":"taro","userId":"Uxxxx","notifyUserIds":["Uyyyy"],"time":"7:30","holidayMode":"skip","timezone":"Asia/Tokyo"}]
+function parseTargets() {
+  if (!process.env.TARGET_USERS) {
+    if (!process.env.TARGET_USER_ID) {
+      return [];
+    }
+    return [{
+      key: 'default',
+      userId: process.env.TARGET_USER_ID,
+      notifyUserIds,
+      defaultTime: '08:00',
+      timezone: defaultTimezone,
+      ...defaultHolidaySetting
+    }];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.TARGET_USERS);
+  } catch (error) {
+    console.error('❌ TARGET_USERS のJSON形式が正しくありません:', error.message);
+    process.exit(1);
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    console.error('❌ TARGET_USERS は1件以上の配列で指定してください');
+    process.exit(1);
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.userId) {
+      console.error(`❌ TARGET_USERS[${index}] に userId がありません`);
+      process.exit(1);
+    }
+    const defaultTime = parseTime(entry.time ?? entry.hour ?? 8);
+    if (!defaultTime) {
+      console.error(`❌ TARGET_USERS[${index}] の time の形式が正しくありません`);
+      process.exit(1);
+    }
+    if (entry.timezone && !isValidTimezone(entry.timezone)) {
+      console.error(`❌ TARGET_USERS[${index}] の timezone の値が正しくありません: ${entry.timezone}`);
+      process.exit(1);
+    }
+    const holidaySetting = entry.holidayMode
+      ? parseHolidaySetting(entry.holidayMode, entry.holidayTime, `TARGET_USERS[${index}]`)
+      : defaultHolidaySetting;
+    return {
+      key: entry.key || `target${index + 1}`,
+      userId: entry.userId,
+      notifyUserIds: Array.isArray(entry.notifyUserIds) ? entry.notifyUserIds : notifyUserIds,
+      defaultTime,
+      timezone: entry.timezone || defaultTimezone,
+      ...holidaySetting
+    };
+  });
+}
+
+const configuredTargets = parseTargets();
+const targets = configuredTargets.map(target => ({ ...target }));
+const targetsByUserId = new Map(targets.map(target => [target.userId, target]));
+
+// 対象指定（キー省略時は全ターゲット）
+function resolveTargets(selector) {
+  if (!selector) {
+    return targets;
+  }
+  const target = targets.find(t => t.key === selector) || targetsByUserId.get(selector);
+  return target ? [target] : null;
+}
+
+// ユーザーと役割（admin: 管理者 / notifier: 通知先 / target: 起床確認の対象）
+// targetKey は target ではそのキー、notifier では通知を受け取るターゲット（null は全ターゲット）
+// status: pending（招待コードを送って承認待ち）/ active
+const ROLE_LABELS = {
+  ja: { admin: '管理者', notifier: '通知', target: 'ターゲット' },
+  en: { admin: 'Admin', notifier: 'Notifications', target: 'Target' }
+};
+const ROLE_ALIASES = {
+  管理者: 'admin',
+  通知: 'notifier',
+  通知先: 'notifier',
+  ターゲット: 'target',
+  対象: 'target',
+  admin: 'admin',
+  notifier: 'notifier',
+  notify: 'notifier',
+  target: 'target'
+};
+const ROLE_ORDER = ['admin', 'target', 'notifier'];
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+const INVITE_TTL_HOURS = 72;
+
+function describeRole({ role, targetKey }, lang = DEFAULT_LANGUAGE) {
+  if (role === 'admin') {
+    return ROLE_LABELS[lang].admin;
+  }
+  return `${ROLE_LABELS[lang][role]} (${targetKey || t(lang, 'everyone')})`;
+}
+
+function generateInviteCode() {
+  return Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_CHARS[crypto.randomInt(INVITE_CODE_CHARS.length)]).join('');
+}
+
+// 実行中に追加したターゲットの設定（環境変数に同じユーザーがあれば時刻などはそれを使う）
+function createTarget(key, userId) {
+  const configured = configuredTargets.find(target => target.userId === userId);
+  return {
+    defaultTime: '08:00',
+    timezone: defaultTimezone,
+    ...defaultHolidaySetting,
+    ...configured,
+    key,
+    userId,
+    notifyUserIds: []
+  };
+}
+
+// 保存済みのユーザーを targets / adminUserIds に反映する（配列は他のモジュールからも参照されるのでその場で更新する）
+function applyMembers(members) {
+  const active = members.filter(member => member.status === 'active');
+  const nextTargets = active.filter(member => member.role === 'target').map(member => {
+    const target = targetsByUserId.get(member.userId) || createTarget(member.targetKey, member.userId);
+    const notifiers = active.filter(m => m.role === 'notifier' && (m.targetKey === null || m.targetKey === member.targetKey));
+    return Object.assign(target, { key: member.targetKey, notifyUserIds: [...new Set(notifiers.map(m => m.userId))] });
+  });
+  
+  // 外れたターゲットの起床確認は止める
+  targets.filter(target => !nextTargets.includes(target)).forEach(target => {
+    cancelPlannedStart(target.userId);
+    const session = sessions.get(target.userId);
+    if (session) {
+      stopSession(session);
+      sessions.delete(target.userId);
+      clearSessionState(target.userId);
+    }
+  });
+  
+  targets.splice(0, targets.length, ...nextTargets);
+  targetsByUserId.clear();
+  targets.forEach(target => targetsByUserId.set(target.userId, target));
+  targets.filter(target => !plannedStarts.has(target.userId)).forEach(target => requestPlan(target.userId));
+  adminUserIds.splice(0, adminUserIds.length, ...new Set(active.filter(m => m.role === 'admin').map(m => m.userId)));
+}
+
+async function refreshMembers() {
+  applyMembers(await storage.loadMembers());
+}
+
+// 初回起動時は環境変数のユーザーを登録する（通知先はターゲットごとに登録して TARGET_USERS の指定を保つ）
+async function seedMembersFromEnv() {
+  const createdAt = new Date(clock.now()).toISOString();
+  const seeds = [
+    ...adminUserIds.map(userId => ({ userId, role: 'admin', targetKey: null })),
+    ...targets.map(target => ({ userId: target.userId, role: 'target', targetKey: target.key })),
+    ...targets.flatMap(target => target.notifyUserIds.map(userId => ({ userId, role: 'notifier', targetKey: target.key })))
+  ];
+  for (const seed of seeds) {
+    await storage.addMember({ ...seed, status: 'active', inviteCode: null, addedBy: null, createdAt });
+  }
+  if (seeds.length > 0) {
+    console.log(`👥 環境変数からユーザーを登録しました: ${seeds.length}件`);
+    await logEvent('members_seeded', null, `${seeds.length}件`);
+  }
+  return storage.loadMembers();
+}
+
+// 保存済みのユーザーを読み込む（読めない場合は環境変数の設定のまま動かす）
+async function loadMembers() {
+  try {
+    let members = await storage.loadMembers();
+    if (members.length === 0) {
+      members = await seedMembersFromEnv();
+    }
+    applyMembers(members);
+  } catch (error) {
+    console.error('⚠️ ユーザー読み込みエラー、環境変数の設定で動かします:', error.message);
+  }
+}
+
+function allNotifyUserIds() {
+  return [...new Set(targets.flatMap(target => target.notifyUserIds))];
+}
+
+// エスカレーションポリシー（ターゲットごとに保存、未設定時はこの既定値）
+// reminderInterval: リマインダー間隔（分）
+// snoozeLimit: 1回の起床確認でスヌーズできる合計時間（分）
+// challenge: 「起きた」の後に出す問題（mode: off / math / word / mix、difficulty: 1〜3、attempts: 1問あたりの回答回数）
+// stages: 開始からの経過分 after に notify（'all' は通知先全員と登録グループ、またはユーザーIDの配列）へ message を送る
+//         最後の段階でセッションを終了する。message の {name} は表示名、{minutes} は経過分に置き換える
+//         message が null の段階は escalation テンプレート（受け取る人の言語で送る）
+const DEFAULT_ESCALATION_POLICY = {
+  reminderInterval: 5,
+  snoozeLimit: 30,
+  challenge: { mode: 'off', difficulty: 1, attempts: 3 },
+  stages: [
+    { after: 60, notify: 'all', message: null }
+  ]
+};
+const MAX_ESCALATION_MINUTES = 12 * 60;
+
+// ターゲットごとのセッション状態
+
+const sessions = new Map();
+let profileCache = {};
+
+function getSession(userId) {
+  if (!sessions.has(userId)) {
+    sessions.set(userId, {
+      active: false,
+      hasResponded: false,
+      startTime: null,
+      startedAt: null,
+      deadline: null,
+      remindersSent: 0,
+      stagesNotified: 0,
+      snoozedMinutes: 0,
+      snoozeUntil: null,
+      lastReminderAt: null,
+      policy: null,
+      challenge: null,
+      intervalId: null,
+      timerIds: []
+    });
+  }
+  return sessions.get(userId);
+}
+
+function stopSession(session) {
+  clock.clearInterval(session.intervalId);
+  session.timerIds.forEach(clock.clearTimeout);
+  session.intervalId = null;
+  session.timerIds = [];
+  session.active = false;
+}
+
+// ストレージ
+// どのバックエンドも同じメソッドを持つ（initialize / loadSchedule / addExcludeDate / ... / appendLog / loadLogs / queryLogs / health / close）
+// STORAGE=postgres | file | memory（未指定時は DATABASE_URL があれば postgres、なければ memory）
+const STORAGE_TYPES = ['postgres', 'file', 'memory'];
+const STORAGE_LABELS = {
+  postgres: 'Database (PostgreSQL)',
+  file: 'File (JSON)',
+  memory: 'Memory (temporary)'
+};
+// ログとスケジュール変更履歴の保持件数（古いものから消える）
+// ファイルストレージは365日分の統計・連続記録に足りるよう多めに持つ（PostgreSQL は上限なし）
+const MEMORY_LOG_LIMIT = 1000;
+const FILE_LOG_LIMIT = 50000;
+
+function emptyStorageData() {
+  return {
+    schedules: {},
+    sessions: {},
+    policies: {},
+    templates: {},
+    chats: {},
+    members: [],
+    nextMemberId: 1,
+    invites: {},
+    scheduleRequests: [],
+    nextScheduleRequestId: 1,
+    scheduleChanges: [],
+    nextScheduleChangeId: 1,
+    webhookEvents: {},
+    languages: {},
+    logs: [],
+    deadLetters: [],
+    nextDeadLetterId: 1
+  };
+}
+
+// メモリストレージ（onChange は変更のたびに呼ばれる、ファイルストレージの保存用）
+function createMemoryStorage(data = emptyStorageData(), onChange = () => {}, { logLimit = MEMORY_LOG_LIMIT } = {}) {
+  function getSchedule(userId) {
+    if (!data.schedules[userId]) {
+      data.schedules[userId] = { excludeDates: [], customTimes: {}, weeklyRules: {} };
+    }
+    return data.schedules[userId];
+  }
+
+  function filterLogs({ userId = null, since = null, until = null, eventTypes = null } = {}) {
+    return data.logs
+      .map(log => ({ ...log, timestamp: new Date(log.timestamp) }))
+      .filter(log => (!userId || log.userId === userId) &&
+        (!since || log.timestamp >= since) &&
+        (!until || log.timestamp < until) &&
+        (!eventTypes || eventTypes.includes(log.eventType)));
+  }
+
+  return {
+    type: 'memory',
+    durable: false,
+
+    async initialize() {
+      console.log('✅ メモリストレージ初期化完了');
+    },
+
+    async loadSchedule(userId) {
+      const schedule = getSchedule(userId);
+      return {
+        exclude: schedule.excludeDates,
+        change: schedule.customTimes,
+        weekly: schedule.weeklyRules,
+        checkedIn: schedule.checkedInDates || []
+      };
+    },
+
+    async setCheckedIn(userId, date) {
+      const schedule = getSchedule(userId);
+      schedule.checkedInDates = [...new Set([...(schedule.checkedInDates || []), date])];
+      onChange();
+    },
+
+    async addExcludeDate(userId, date) {
+      const schedule = getSchedule(userId);
+      if (!schedule.excludeDates.includes(date)) {
+        schedule.excludeDates.push(date);
+      }
+      onChange();
+    },
+
+    async removeExcludeDate(userId, date) {
+      const schedule = getSchedule(userId);
+      schedule.excludeDates = schedule.excludeDates.filter(d => d !== date);
+      onChange();
+    },
+
+    async setCustomTime(userId, date, time) {
+      getSchedule(userId).customTimes[date] = time;
+      onChange();
+    },
+
+    async removeCustomTime(userId, date) {
+      delete getSchedule(userId).customTimes[date];
+      onChange();
+    },
+
+    async setWeeklyRule(userId, weekday, time) {
+      getSchedule(userId).weeklyRules[weekday] = time;
+      onChange();
+    },
+
+    async removeWeeklyRule(userId, weekday) {
+      delete getSchedule(userId).weeklyRules[weekday];
+      onChange();
+    },
+
+    async saveSessionState(userId, state) {
+      data.sessions[userId] = state;
+      onChange();
+    },
+
+    async clearSessionState(userId) {
+      delete data.sessions[userId];
+      onChange();
+    },
+
+    async loadSessionStates() {
+      return { ...data.sessions };
+    },
+
+    async loadEscalationPolicy(userId) {
+      return data.policies[userId] || DEFAULT_ESCALATION_POLICY;
+    },
+
+    async saveEscalationPolicy(userId, policy) {
+      if (policy) {
+        data.policies[userId] = policy;
+      } else {
+        delete data.policies[userId];
+      }
+      onChange();
+    },
+
+    async loadTemplates() {
+      return { ...data.templates };
+    },
+
+    async saveTemplate(key, template) {
+      if (template) {
+        data.templates[key] = template;
+      } else {
+        delete data.templates[key];
+      }
+      onChange();
+    },
+
+    async loadChats() {
+      return Object.values(data.chats);
+    },
+
+    async saveChat(chat) {
+      data.chats[chat.chatId] = chat;
+      onChange();
+    },
+
+    async removeChat(chatId) {
+      delete data.chats[chatId];
+      onChange();
+    },
+
+    // 未処理なら記録して true、処理済みなら false
+    async claimWebhookEvent(eventId, receivedAt) {
+      if (data.webhookEvents[eventId]) {
+        return false;
+      }
+      data.webhookEvents[eventId] = receivedAt;
+      onChange();
+      return true;
+    },
+
+    async loadLanguage(userId) {
+      return data.languages[userId] || null;
+    },
+
+    async saveLanguage(userId, language) {
+      data.languages[userId] = language;
+      onChange();
+    },
+
+    async pruneWebhookEvents(before) {
+      const expired = Object.keys(data.webhookEvents).filter(eventId => data.webhookEvents[eventId] < before);
+      expired.forEach(eventId => {
+        delete data.webhookEvents[eventId];
+      });
+      if (expired.length > 0) {
+        onChange();
+      }
+      return expired.length;
+    },
+
+    async loadMembers() {
+      return data.members.map(member => ({ ...member }));
+    },
+
+    async addMember(member) {
+      const id = data.nextMemberId++;
+      data.members.push({ id, ...member });
+      onChange();
+      return id;
+    },
+
+    async updateMemberStatus(id, status) {
+      const member = data.members.find(m => m.id === id);
+      if (member) {
+        member.status = status;
+        onChange();
+      }
+    },
+
+    async removeMember(id) {
+      data.members = data.members.filter(member => member.id !== id);
+      onChange();
+    },
+
+    async getInvite(code) {
+      return data.invites[code] || null;
+    },
+
+    async saveInvite(invite) {
+      data.invites[invite.code] = invite;
+      onChange();
+    },
+
+    async addScheduleRequest(request) {
+      const id = data.nextScheduleRequestId++;
+      data.scheduleRequests.push({ id, ...request });
+      onChange();
+      return id;
+    },
+
+    async listScheduleRequests({ status = 'pending' } = {}) {
+      return data.scheduleRequests.filter(request => request.status === status);
+    },
+
+    async getScheduleRequest(id) {
+      return data.scheduleRequests.find(request => request.id === id) || null;
+    },
+
+    async updateScheduleRequest(id, changes) {
+      const request = data.scheduleRequests.find(r => r.id === id);
+      if (request) {
+        Object.assign(request, changes);
+        onChange();
+      }
+    },
+
+    async addScheduleChange(change) {
+      const id = data.nextScheduleChangeId++;
+      data.scheduleChanges.push({ id, ...change });
+      // メモリ使用量制限のため、ログと同じく最新 logLimit 件のみ保持
+      if (data.scheduleChanges.length > logLimit) {
+        data.scheduleChanges = data.scheduleChanges.slice(-logLimit);
+      }
+      onChange();
+      return id;
+    },
+
+    async listScheduleChanges({ userId = null, limit = 20 } = {}) {
+      return data.scheduleChanges
+        .filter(change => !userId || change.userId === userId)
+        .slice(-limit)
+        .reverse();
+    },
+
+    async getLastScheduleBatch(actor) {
+      const undoable = data.scheduleChanges.filter(change =>
+        change.actor === actor && change.field !== 'checkin' && !change.revertOf && !change.revertedAt
+      );
+      const last = undoable[undoable.length - 1];
+      return last ? undoable.filter(change => change.batch === last.batch) : [];
+    },
+
+    async markScheduleBatchReverted(batch, revertedAt) {
+      data.scheduleChanges
+        .filter(change => change.batch === batch && !change.revertedAt)
+        .forEach(change => {
+          change.revertedAt = revertedAt;
+        });
+      onChange();
+    },
+
+    async appendLog(logEntry) {
+      data.logs.push(logEntry);
+      // メモリ使用量制限のため、最新 logLimit 件のみ保持
+      if (data.logs.length > logLimit) {
+        data.logs = data.logs.slice(-logLimit);
+      }
+      console.log(`📝 [${logEntry.eventType}] ${logEntry.userId || 'system'}: ${logEntry.message || ''}`);
+      onChange();
+    },
+
+    async loadLogs(filter) {
+      return filterLogs(filter);
+    },
+
+    async queryLogs({ limit = 50, offset = 0, ...filter } = {}) {
+      const matched = filterLogs(filter).reverse();
+      return { total: matched.length, logs: matched.slice(offset, offset + limit) };
+    },
+
+    async addDeadLetter(entry) {
+      const id = data.nextDeadLetterId++;
+      data.deadLetters.push({ id, ...entry, resolvedAt: null });
+      onChange();
+      return id;
+    },
+
+    async listDeadLetters({ includeResolved = false, limit = 50 } = {}) {
+      return data.deadLetters
+        .filter(letter => includeResolved || !letter.resolvedAt)
+        .slice(-limit)
+        .reverse();
+    },
+
+    async getDeadLetter(id) {
+      return data.deadLetters.find(letter => letter.id === id) || null;
+    },
+
+    async markDeadLetterResent(id) {
+      const letter = data.deadLetters.find(l => l.id === id);
+      if (letter) {
+        letter.resolvedAt = new Date(clock.now()).toISOString();
+        onChange();
+      }
+    },
+
+    async markDeadLetterFailed(id, error, attempts) {
+      const letter = data.deadLetters.find(l => l.id === id);
+      if (letter) {
+        letter.error = error;
+        letter.attempts += attempts;
+        onChange();
+      }
+    },
+
+    async health() {
+      const schedules = Object.values(data.schedules);
+      return {
+        database: 'not_configured',
+        storage: this.type,
+        excludeDates: schedules.reduce((sum, schedule) => sum + schedule.excludeDates.length, 0),
+        customTimes: schedules.reduce((sum, schedule) => sum + Object.keys(schedule.customTimes).length, 0),
+        logs: data.logs.length,
+        deadLetters: data.deadLetters.filter(letter => !letter.resolvedAt).length
+      };
+    },
+
+    snapshot() {
+      return data;
+    },
+
+    async close() {}
+  };
+}
+
+// ファイルストレージ（メモリストレージの内容を JSON ファイルへ書き出す）
+// 変更は FILE_WRITE_DELAY_MS のあいだまとめてから非同期で書き、イベント処理を止めない
+// 書き込みは一時ファイル経由の rename で行い、途中で落ちても壊れたファイルを残さない
+// 書き込みに失敗した場合は FILE_WRITE_RETRY_MS 後に書き直し、終了時（close）は書き残しを書き出す
+const FILE_WRITE_DELAY_MS = 1000;
+const FILE_WRITE_RETRY_MS = 30 * 1000;
+
+function createFileStorage(filePath) {
+  const data = emptyStorageData();
+  let dirty = false;
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  function scheduleWrite(delay) {
+    if (!writeTimer) {
+      writeTimer = clock.setTimeout(flush, delay);
+    }
+  }
+
+  async function writeFile() {
+    if (!dirty) {
+      return;
+    }
+    dirty = false;
+    const tempPath = `${filePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      console.error('ストレージファイル保存エラー:', error);
+      dirty = true;
+      scheduleWrite(FILE_WRITE_RETRY_MS);
+    }
+  }
+
+  // 書き込みは1つずつ順に行う
+  function flush() {
+    clock.clearTimeout(writeTimer);
+    writeTimer = null;
+    writing = writing.then(writeFile);
+    return writing;
+  }
+
+  const memory = createMemoryStorage(data, () => {
+    dirty = true;
+    scheduleWrite(FILE_WRITE_DELAY_MS);
+  }, { logLimit: FILE_LOG_LIMIT });
+
+  return {
+    ...memory,
+    type: 'file',
+    durable: true,
+
+    async initialize() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (fs.existsSync(filePath)) {
+        // 壊れたファイルは上書きせず、起動時エラーとして起動を止める
+        Object.assign(data, emptyStorageData(), JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      }
+      console.log(`✅ ファイルストレージ初期化完了 (${filePath})`);
+    },
+
+    async health() {
+      return { ...(await memory.health.call(this)), file: filePath };
+    },
+
+    async close() {
+      await flush();
+    }
+  };
+}
+
+// PostgreSQL のスキーマ移行（schema_migrations に適用済みバージョンを記録し、未適用分を順に適用する）
+// 既存テーブルの変更は必ず新しいバージョンを追加して行う。適用済みのものは書き換えない
+// statements は SQL 文字列、またはパラメータ付きの { text, values }
+const MIGRATION_LOCK_ID = 7208310;
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // 移行導入前の各バージョンのテーブルをこの形にそろえる
+    statements: () => [
+      `CREATE TABLE IF NOT EXISTS schedule_settings (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(100),
+        date VARCHAR(10) NOT NULL,
+        is_excluded BOOLEAN DEFAULT FALSE,
+        custom_hour INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )`,
+      'ALTER TABLE schedule_settings ADD COLUMN IF NOT EXISTS user_id VARCHAR(100)',
+      // 移行前の設定は1人目のターゲットのもの（ターゲット未設定の新規環境では移す先がないので何もしない）
+      ...(targets.length > 0
+        ? [{ text: 'UPDATE schedule_settings SET user_id = $1 WHERE user_id IS NULL', values: [targets[0].userId] }]
+        : []),
+      'ALTER TABLE schedule_settings DROP CONSTRAINT IF EXISTS schedule_settings_date_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS schedule_settings_user_date_idx ON schedule_settings (user_id, date)',
+      'ALTER TABLE schedule_settings ADD COLUMN IF NOT EXISTS custom_time VARCHAR(5)',
+      `CREATE TABLE IF NOT EXISTS active_sessions (
+        user_id VARCHAR(100) PRIMARY KEY,
+        start_time VARCHAR(5),
+        started_at TIMESTAMPTZ NOT NULL,
+        deadline TIMESTAMPTZ NOT NULL,
+        reminders_sent INTEGER DEFAULT 0,
+        last_reminder_at TIMESTAMPTZ,
+        has_responded BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )`,
+      'ALTER TABLE active_sessions ADD COLUMN IF NOT EXISTS stages_notified INTEGER DEFAULT 0',
+      'ALTER TABLE active_sessions ADD COLUMN IF NOT EXISTS snoozed_minutes INTEGER DEFAULT 0',
+      'ALTER TABLE active_sessions ADD COLUMN IF NOT EXISTS snooze_until TIMESTAMPTZ',
+      `CREATE TABLE IF NOT EXISTS escalation_policies (
+        user_id VARCHAR(100) PRIMARY KEY,
+        policy JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )`,
+      `CREATE TABLE IF NOT EXISTS weekly_rules (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(100) NOT NULL,
+        weekday INTEGER NOT NULL,
+        start_time VARCHAR(5) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, weekday)
+      )`,
+      `CREATE TABLE IF NOT EXISTS bot_logs (
+        id SERIAL PRIMARY KEY,
+        event_type VARCHAR(50) NOT NULL,
+        user_id VARCHAR(100),
+        message TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'custom_time_only',
+    // 時単位の custom_hour を分単位の custom_time に移し、どちらの設定も残っていない行を削除する
+    statements: () => [
+      `UPDATE schedule_settings SET custom_time = LPAD(custom_hour::TEXT, 2, '0') || ':00'
+       WHERE custom_time IS NULL AND custom_hour BETWEEN 0 AND 23`,
+      'ALTER TABLE schedule_settings DROP COLUMN custom_hour',
+      'DELETE FROM schedule_settings WHERE is_excluded IS NOT TRUE AND custom_time IS NULL',
+      // ターゲット未設定のまま移行して持ち主の決まらなかった設定は schedule_settings_unassigned に退避する
+      'CREATE TABLE IF NOT EXISTS schedule_settings_unassigned AS SELECT * FROM schedule_settings WITH NO DATA',
+      'INSERT INTO schedule_settings_unassigned SELECT * FROM schedule_settings WHERE user_id IS NULL',
+      'DELETE FROM schedule_settings WHERE user_id IS NULL',
+      'ALTER TABLE schedule_settings ALTER COLUMN user_id SET NOT NULL'
+    ]
+  },
+  {
+    version: 3,
+    name: 'schedule_date_type',
+    // 文字列の日付を DATE 型にする（YYYY-MM-DD として解釈できない行は使われていないため削除）
+    statements: () => [
+      `DELETE FROM schedule_settings WHERE date !~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}$'`,
+      'ALTER TABLE schedule_settings ALTER COLUMN date TYPE DATE USING date::DATE'
+    ]
+  },
+  {
+    version: 4,
+    name: 'dead_letters',
+    statements: () => [
+      `CREATE TABLE dead_letters (
+        id SERIAL PRIMARY KEY,
+        kind VARCHAR(50) NOT NULL,
+        user_id VARCHAR(100),
+        recipients JSONB NOT NULL,
+        messages JSONB NOT NULL,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        resolved_at TIMESTAMPTZ
+      )`
+    ]
+  },
+  {
+    version: 5,
+    name: 'message_templates',
+    statements: () => [
+      `CREATE TABLE message_templates (
+        key VARCHAR(50) PRIMARY KEY,
+        mode VARCHAR(10) NOT NULL,
+        variants JSONB NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )`
+    ]
+  },
+  {
+    version: 6,
+    name: 'chats',
+    statements: () => [
+      `CREATE TABLE chats (
+        chat_id VARCHAR(100) PRIMARY KEY,
+        chat_type VARCHAR(10) NOT NULL,
+        target_user_ids JSONB NOT NULL DEFAULT '[]',
+        joined_at TIMESTAMPTZ DEFAULT NOW()
+      )`
+    ]
+  },
+  {
+    version: 7,
+    name: 'members',
+    statements: () => [
+      `CREATE TABLE members (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(100) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        target_key VARCHAR(50),
+        status VARCHAR(10) NOT NULL,
+        invite_code VARCHAR(20),
+        added_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )`,
+      `CREATE TABLE invites (
+        code VARCHAR(20) PRIMARY KEY,
+        role VARCHAR(20) NOT NULL,
+        target_key VARCHAR(50),
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_by VARCHAR(100),
+        used_at TIMESTAMPTZ
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: 'schedule_requests',
+    statements: () => [
+      'ALTER TABLE schedule_settings ADD COLUMN checked_in_at TIMESTAMPTZ',
+      `CREATE TABLE schedule_requests (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(100) NOT NULL,
+        request_type VARCHAR(10) NOT NULL,
+        dates JSONB NOT NULL,
+        start_time VARCHAR(5),
+        status VARCHAR(10) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        decided_by VARCHAR(100),
+        decided_at TIMESTAMPTZ
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: 'schedule_changes',
+    statements: () => [
+      `CREATE TABLE schedule_changes (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(100) NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        batch_id VARCHAR(40) NOT NULL,
+        source TEXT,
+        field VARCHAR(10) NOT NULL,
+        change_key VARCHAR(10) NOT NULL,
+        before_value JSONB,
+        after_value JSONB,
+        revert_of INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        reverted_at TIMESTAMPTZ
+      )`,
+      'CREATE INDEX schedule_changes_actor_idx ON schedule_changes (actor, id)'
+    ]
+  },
+  {
+    version: 10,
+    name: 'webhook_events',
+    statements: () => [
+      `CREATE TABLE webhook_events (
+        event_id VARCHAR(100) PRIMARY KEY,
+        received_at TIMESTAMPTZ NOT NULL
+      )`,
+      'CREATE INDEX webhook_events_received_at_idx ON webhook_events (received_at)'
+    ]
+  },
+  {
+    version: 11,
+    name: 'user_languages',
+    statements: () => [
+      `CREATE TABLE user_languages (
+        user_id VARCHAR(100) PRIMARY KEY,
+        language VARCHAR(10) NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )`
+    ]
+  },
+  {
+    version: 12,
+    name: 'bot_logs_timestamptz',
+    // タイムゾーンなしの created_at は NOW() を DB のタイムゾーンで記録したもの（期間の比較がずれないよう時刻として持つ）
+    statements: () => [
+      `ALTER TABLE bot_logs ALTER COLUMN created_at TYPE TIMESTAMPTZ
+        USING created_at AT TIME ZONE current_setting('TimeZone')`
+    ]
+  }
+];
+
+function describeMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function loadAppliedMigrations(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// 未適用の移行を1つずつトランザクションで適用する（dryRun 時は SQL を表示するだけ）
+// 複数プロセスが同時に起動しても二重に適用しないよう advisory lock を取る
+async function runMigrations(pool, { dryRun = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    const appliedVersions = new Set((await loadAppliedMigrations(client)).map(row => row.version));
+    const latestVersion = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+    const unknown = [...appliedVersions].filter(version => version > latestVersion);
+    if (unknown.length > 0) {
+      console.warn(`⚠️ このコードより新しいスキーマ（v${Math.max(...unknown)}）が適用されています`);
+    }
+
+    const pending = SCHEMA_MIGRATIONS.filter(migration => !appliedVersions.has(migration.version));
+    for (const migration of pending) {
+      const statements = migration.statements();
+      if (dryRun) {
+        console.log(`📋 [dry-run] ${describeMigration(migration)}`);
+        statements.forEach(statement => {
+          const text = typeof statement === 'string' ? statement : statement.text;
+          const values = typeof statement === 'string' ? '' : ` -- ${JSON.stringify(statement.values)}`;
+          console.log(`${text.replace(/\s+/g, ' ').trim()};${values}`);
+        });
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        for (const statement of statements) {
+          await client.query(statement);
+        }
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`✅ マイグレーション適用: ${describeMigration(migration)}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`マイグレーションエラー (${describeMigration(migration)}):`, error);
+        throw error;
+      }
+    }
+    return pending;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function printMigrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    const applied = new Map((await loadAppliedMigrations(client)).map(row => [row.version, row]));
+    SCHEMA_MIGRATIONS.forEach(migration => {
+      const row = applied.get(migration.version);
+      const state = row ? `applied ${dayjs(row.applied_at).tz(defaultTimezone).format('YYYY-MM-DD HH:mm')}` : 'pending';
+      console.log(`${describeMigration(migration)}  ${state}`);
+    });
+    applied.forEach((row, version) => {
+      if (!SCHEMA_MIGRATIONS.some(migration => migration.version === version)) {
+        console.log(`${String(version).padStart(3, '0')}_${row.name}  applied (このコードに定義なし)`);
+      }
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// PostgreSQL ストレージ
+function createPostgresStorage(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  const logConditions = `
+    WHERE ($1::VARCHAR IS NULL OR user_id = $1)
+      AND ($2::TIMESTAMPTZ IS NULL OR created_at >= $2)
+      AND ($3::TIMESTAMPTZ IS NULL OR created_at < $3)
+      AND ($4::VARCHAR[] IS NULL OR event_type = ANY($4))
+  `;
+
+  function toLogEntry(row) {
+    return {
+      timestamp: row.created_at,
+      eventType: row.event_type,
+      userId: row.user_id,
+      message: row.message
+    };
+  }
+
+  function toDeadLetter(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      userId: row.user_id,
+      recipients: row.recipients,
+      messages: row.messages,
+      error: row.error,
+      attempts: row.attempts,
+      createdAt: row.created_at.toISOString(),
+      resolvedAt: row.resolved_at ? row.resolved_at.toISOString() : null
+    };
+  }
+
+  function toScheduleChange(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      actor: row.actor,
+      batch: row.batch_id,
+      source: row.source,
+      field: row.field,
+      key: row.change_key,
+      before: row.before_value,
+      after: row.after_value,
+      revertOf: row.revert_of,
+      createdAt: row.created_at.toISOString(),
+      revertedAt: row.reverted_at ? row.reverted_at.toISOString() : null
+    };
+  }
+
+  function toScheduleRequest(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      type: row.request_type,
+      dates: row.dates,
+      time: row.start_time,
+      status: row.status,
+      createdAt: row.created_at.toISOString(),
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at ? row.decided_at.toISOString() : null
+    };
+  }
+
+  function toMember(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      role: row.role,
+      targetKey: row.target_key,
+      status: row.status,
+      inviteCode: row.invite_code,
+      addedBy: row.added_by,
+      createdAt: row.created_at.toISOString()
+    };
+  }
+
+  return {
+    type: 'postgres',
+    durable: true,
+
+    async initialize() {
+      const applied = await runMigrations(pool);
+      console.log(`✅ データベース初期化完了 (スキーマ v${SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version}, 今回適用 ${applied.length}件)`);
+    },
+
+    async migrate(options) {
+      return runMigrations(pool, options);
+    },
+
+    async migrationStatus() {
+      await printMigrationStatus(pool);
+    },
+
+    async loadSchedule(userId) {
+      try {
+        const excludeResult = await pool.query(
+          `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date FROM schedule_settings
+           WHERE user_id = $1 AND is_excluded = TRUE ORDER BY date`,
+          [userId]
+        );
+        const changeResult = await pool.query(
+          `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, custom_time FROM schedule_settings
+           WHERE user_id = $1 AND custom_time IS NOT NULL ORDER BY date`,
+          [userId]
+        );
+        const weeklyResult = await pool.query(
+          'SELECT weekday, start_time FROM weekly_rules WHERE user_id = $1 ORDER BY weekday',
+          [userId]
+        );
+        const checkInResult = await pool.query(
+          `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date FROM schedule_settings
+           WHERE user_id = $1 AND checked_in_at IS NOT NULL ORDER BY date`,
+          [userId]
+        );
+
+        const exclude = excludeResult.rows.map(row => row.date);
+        const change = {};
+        changeResult.rows.forEach(row => {
+          change[row.date] = row.custom_time;
+        });
+        const weekly = {};
+        weeklyResult.rows.forEach(row => {
+          weekly[row.weekday] = row.start_time;
+        });
+
+        const checkedIn = checkInResult.rows.map(row => row.date);
+
+        return { exclude, change, weekly, checkedIn };
+      } catch (error) {
+        console.error('スケジュール読み込みエラー:', error);
+        return { exclude: [], change: {}, weekly: {}, checkedIn: [] };
+      }
+    },
+
+    async setCheckedIn(userId, date) {
+      try {
+        await pool.query(`
+          INSERT INTO schedule_settings (user_id, date, checked_in_at)
+          VALUES ($1, $2, NOW())
+          ON CONFLICT (user_id, date)
+          DO UPDATE SET checked_in_at = NOW(), updated_at = NOW()
+        `, [userId, date]);
+      } catch (error) {
+        console.error('早起き報告の保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async addExcludeDate(userId, date) {
+      try {
+        await pool.query(`
+          INSERT INTO schedule_settings (user_id, date, is_excluded)
+          VALUES ($1, $2, TRUE)
+          ON CONFLICT (user_id, date)
+          DO UPDATE SET is_excluded = TRUE, updated_at = NOW()
+        `, [userId, date]);
+      } catch (error) {
+        console.error('除外日追加エラー:', error);
+        throw error;
+      }
+    },
+
+    async removeExcludeDate(userId, date) {
+      try {
+        await pool.query(
+          'UPDATE schedule_settings SET is_excluded = FALSE, updated_at = NOW() WHERE user_id = $1 AND date = $2',
+          [userId, date]
+        );
+      } catch (error) {
+        console.error('除外日削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async setCustomTime(userId, date, time) {
+      try {
+        await pool.query(`
+          INSERT INTO schedule_settings (user_id, date, custom_time)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, date)
+          DO UPDATE SET custom_time = $3, updated_at = NOW()
+        `, [userId, date, time]);
+      } catch (error) {
+        console.error('カスタム時間設定エラー:', error);
+        throw error;
+      }
+    },
+
+    async removeCustomTime(userId, date) {
+      try {
+        await pool.query(
+          'UPDATE schedule_settings SET custom_time = NULL, updated_at = NOW() WHERE user_id = $1 AND date = $2',
+          [userId, date]
+        );
+      } catch (error) {
+        console.error('カスタム時間削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async setWeeklyRule(userId, weekday, time) {
+      try {
+        await pool.query(`
+          INSERT INTO weekly_rules (user_id, weekday, start_time)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, weekday)
+          DO UPDATE SET start_time = $3, updated_at = NOW()
+        `, [userId, weekday, time]);
+      } catch (error) {
+        console.error('曜日ルール設定エラー:', error);
+        throw error;
+      }
+    },
+
+    async removeWeeklyRule(userId, weekday) {
+      try {
+        await pool.query(
+          'DELETE FROM weekly_rules WHERE user_id = $1 AND weekday = $2',
+          [userId, weekday]
+        );
+      } catch (error) {
+        console.error('曜日ルール削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async saveSessionState(userId, state) {
+      await pool.query(`
+        INSERT INTO active_sessions (user_id, start_time, started_at, deadline, reminders_sent, last_reminder_at,
+          has_responded, stages_notified, snoozed_minutes, snooze_until)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (user_id)
+        DO UPDATE SET start_time = $2, started_at = $3, deadline = $4, reminders_sent = $5,
+          last_reminder_at = $6, has_responded = $7, stages_notified = $8, snoozed_minutes = $9,
+          snooze_until = $10, updated_at = NOW()
+      `, [userId, state.startTime, state.startedAt, state.deadline, state.remindersSent, state.lastReminderAt,
+        state.hasResponded, state.stagesNotified, state.snoozedMinutes, state.snoozeUntil]);
+    },
+
+    async clearSessionState(userId) {
+      await pool.query('DELETE FROM active_sessions WHERE user_id = $1', [userId]);
+    },
+
+    async loadSessionStates() {
+      try {
+        const result = await pool.query('SELECT * FROM active_sessions');
+        const states = {};
+        result.rows.forEach(row => {
+          states[row.user_id] = {
+            startTime: row.start_time,
+            startedAt: row.started_at.toISOString(),
+            deadline: row.deadline.toISOString(),
+            remindersSent: row.reminders_sent,
+            stagesNotified: row.stages_notified || 0,
+            snoozedMinutes: row.snoozed_minutes || 0,
+            snoozeUntil: row.snooze_until ? row.snooze_until.toISOString() : null,
+            lastReminderAt: row.last_reminder_at ? row.last_reminder_at.toISOString() : null,
+            hasResponded: row.has_responded
+          };
+        });
+        return states;
+      } catch (error) {
+        console.error('セッション読み込みエラー:', error);
+        return {};
+      }
+    },
+
+    async loadEscalationPolicy(userId) {
+      try {
+        const result = await pool.query(
+          'SELECT policy FROM escalation_policies WHERE user_id = $1',
+          [userId]
+        );
+        return result.rows[0]?.policy || DEFAULT_ESCALATION_POLICY;
+      } catch (error) {
+        console.error('エスカレーション読み込みエラー:', error);
+        return DEFAULT_ESCALATION_POLICY;
+      }
+    },
+
+    async saveEscalationPolicy(userId, policy) {
+      try {
+        if (policy) {
+          await pool.query(`
+            INSERT INTO escalation_policies (user_id, policy)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id)
+            DO UPDATE SET policy = $2, updated_at = NOW()
+          `, [userId, JSON.stringify(policy)]);
+        } else {
+          await pool.query('DELETE FROM escalation_policies WHERE user_id = $1', [userId]);
+        }
+      } catch (error) {
+        console.error('エスカレーション保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async loadTemplates() {
+      try {
+        const result = await pool.query('SELECT key, mode, variants FROM message_templates');
+        const templates = {};
+        result.rows.forEach(row => {
+          templates[row.key] = { mode: row.mode, variants: row.variants };
+        });
+        return templates;
+      } catch (error) {
+        console.error('テンプレート読み込みエラー:', error);
+        return {};
+      }
+    },
+
+    async saveTemplate(key, template) {
+      try {
+        if (template) {
+          await pool.query(`
+            INSERT INTO message_templates (key, mode, variants)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (key)
+            DO UPDATE SET mode = $2, variants = $3, updated_at = NOW()
+          `, [key, template.mode, JSON.stringify(template.variants)]);
+        } else {
+          await pool.query('DELETE FROM message_templates WHERE key = $1', [key]);
+        }
+      } catch (error) {
+        console.error('テンプレート保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async loadChats() {
+      try {
+        const result = await pool.query('SELECT * FROM chats ORDER BY joined_at');
+        return result.rows.map(row => ({
+          chatId: row.chat_id,
+          type: row.chat_type,
+          targetUserIds: row.target_user_ids,
+          joinedAt: row.joined_at.toISOString()
+        }));
+      } catch (error) {
+        console.error('グループ読み込みエラー:', error);
+        return [];
+      }
+    },
+
+    async saveChat(chat) {
+      try {
+        await pool.query(`
+          INSERT INTO chats (chat_id, chat_type, target_user_ids, joined_at)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (chat_id)
+          DO UPDATE SET chat_type = $2, target_user_ids = $3
+        `, [chat.chatId, chat.type, JSON.stringify(chat.targetUserIds), chat.joinedAt]);
+      } catch (error) {
+        console.error('グループ保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async removeChat(chatId) {
+      try {
+        await pool.query('DELETE FROM chats WHERE chat_id = $1', [chatId]);
+      } catch (error) {
+        console.error('グループ削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async loadLanguage(userId) {
+      try {
+        const result = await pool.query('SELECT language FROM user_languages WHERE user_id = $1', [userId]);
+        return result.rows.length > 0 ? result.rows[0].language : null;
+      } catch (error) {
+        console.error('言語設定読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async saveLanguage(userId, language) {
+      try {
+        await pool.query(`
+          INSERT INTO user_languages (user_id, language) VALUES ($1, $2)
+          ON CONFLICT (user_id) DO UPDATE SET language = $2, updated_at = NOW()
+        `, [userId, language]);
+      } catch (error) {
+        console.error('言語設定保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async claimWebhookEvent(eventId, receivedAt) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO webhook_events (event_id, received_at) VALUES ($1, $2)
+          ON CONFLICT (event_id) DO NOTHING RETURNING event_id
+        `, [eventId, receivedAt]);
+        return result.rows.length > 0;
+      } catch (error) {
+        console.error('Webhookイベント記録エラー:', error);
+        throw error;
+      }
+    },
+
+    async pruneWebhookEvents(before) {
+      try {
+        const result = await pool.query('DELETE FROM webhook_events WHERE received_at < $1', [before]);
+        return result.rowCount;
+      } catch (error) {
+        console.error('Webhookイベント削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async loadMembers() {
+      try {
+        const result = await pool.query('SELECT * FROM members ORDER BY id');
+        return result.rows.map(toMember);
+      } catch (error) {
+        console.error('ユーザー読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async addMember(member) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO members (user_id, role, target_key, status, invite_code, added_by, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+        `, [member.userId, member.role, member.targetKey, member.status, member.inviteCode, member.addedBy, member.createdAt]);
+        return result.rows[0].id;
+      } catch (error) {
+        console.error('ユーザー登録エラー:', error);
+        throw error;
+      }
+    },
+
+    async updateMemberStatus(id, status) {
+      try {
+        await pool.query('UPDATE members SET status = $2 WHERE id = $1', [id, status]);
+      } catch (error) {
+        console.error('ユーザー更新エラー:', error);
+        throw error;
+      }
+    },
+
+    async removeMember(id) {
+      try {
+        await pool.query('DELETE FROM members WHERE id = $1', [id]);
+      } catch (error) {
+        console.error('ユーザー削除エラー:', error);
+        throw error;
+      }
+    },
+
+    async getInvite(code) {
+      try {
+        const result = await pool.query('SELECT * FROM invites WHERE code = $1', [code]);
+        const row = result.rows[0];
+        return row ? {
+          code: row.code,
+          role: row.role,
+          targetKey: row.target_key,
+          createdBy: row.created_by,
+          createdAt: row.created_at.toISOString(),
+          expiresAt: row.expires_at.toISOString(),
+          usedBy: row.used_by,
+          usedAt: row.used_at ? row.used_at.toISOString() : null
+        } : null;
+      } catch (error) {
+        console.error('招待コード読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async addScheduleRequest(request) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO schedule_requests (user_id, request_type, dates, start_time, status, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+        `, [request.userId, request.type, JSON.stringify(request.dates), request.time, request.status, request.createdAt]);
+        return result.rows[0].id;
+      } catch (error) {
+        console.error('申請保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async listScheduleRequests({ status = 'pending' } = {}) {
+      try {
+        const result = await pool.query('SELECT * FROM schedule_requests WHERE status = $1 ORDER BY id', [status]);
+        return result.rows.map(toScheduleRequest);
+      } catch (error) {
+        console.error('申請一覧読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async getScheduleRequest(id) {
+      try {
+        const result = await pool.query('SELECT * FROM schedule_requests WHERE id = $1', [id]);
+        return result.rows[0] ? toScheduleRequest(result.rows[0]) : null;
+      } catch (error) {
+        console.error('申請読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async updateScheduleRequest(id, changes) {
+      try {
+        await pool.query(
+          'UPDATE schedule_requests SET status = $2, decided_by = $3, decided_at = $4 WHERE id = $1',
+          [id, changes.status, changes.decidedBy, changes.decidedAt]
+        );
+      } catch (error) {
+        console.error('申請更新エラー:', error);
+        throw error;
+      }
+    },
+
+    async addScheduleChange(change) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO schedule_changes (user_id, actor, batch_id, source, field, change_key, before_value, after_value, revert_of, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+        `, [change.userId, change.actor, change.batch, change.source, change.field, change.key,
+          JSON.stringify(change.before), JSON.stringify(change.after), change.revertOf, change.createdAt]);
+        return result.rows[0].id;
+      } catch (error) {
+        console.error('変更履歴保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async listScheduleChanges({ userId = null, limit = 20 } = {}) {
+      try {
+        const result = await pool.query(`
+          SELECT * FROM schedule_changes WHERE $1::VARCHAR IS NULL OR user_id = $1
+          ORDER BY id DESC LIMIT $2
+        `, [userId, limit]);
+        return result.rows.map(toScheduleChange);
+      } catch (error) {
+        console.error('変更履歴読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async getLastScheduleBatch(actor) {
+      try {
+        const last = await pool.query(`
+          SELECT batch_id FROM schedule_changes
+          WHERE actor = $1 AND field <> 'checkin' AND revert_of IS NULL AND reverted_at IS NULL
+          ORDER BY id DESC LIMIT 1
+        `, [actor]);
+        if (last.rows.length === 0) {
+          return [];
+        }
+        const result = await pool.query(
+          'SELECT * FROM schedule_changes WHERE batch_id = $1 AND reverted_at IS NULL ORDER BY id',
+          [last.rows[0].batch_id]
+        );
+        return result.rows.map(toScheduleChange);
+      } catch (error) {
+        console.error('変更履歴読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async markScheduleBatchReverted(batch, revertedAt) {
+      try {
+        await pool.query('UPDATE schedule_changes SET reverted_at = $2 WHERE batch_id = $1 AND reverted_at IS NULL', [batch, revertedAt]);
+      } catch (error) {
+        console.error('変更履歴更新エラー:', error);
+        throw error;
+      }
+    },
+
+    async saveInvite(invite) {
+      try {
+        await pool.query(`
+          INSERT INTO invites (code, role, target_key, created_by, created_at, expires_at, used_by, used_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (code)
+          DO UPDATE SET used_by = $7, used_at = $8
+        `, [invite.code, invite.role, invite.targetKey, invite.createdBy, invite.createdAt, invite.expiresAt,
+          invite.usedBy, invite.usedAt]);
+      } catch (error) {
+        console.error('招待コード保存エラー:', error);
+        throw error;
+      }
+    },
+
+    async appendLog(logEntry) {
+      await pool.query(
+        'INSERT INTO bot_logs (event_type, user_id, message, created_at) VALUES ($1, $2, $3, $4)',
+        [logEntry.eventType, logEntry.userId, logEntry.message, logEntry.timestamp]
+      );
+    },
+
+    async loadLogs({ userId = null, since = null, until = null, eventTypes = null } = {}) {
+      try {
+        const result = await pool.query(`
+          SELECT event_type, user_id, message, created_at FROM bot_logs ${logConditions}
+          ORDER BY created_at, id
+        `, [userId, since, until, eventTypes]);
+        return result.rows.map(toLogEntry);
+      } catch (error) {
+        console.error('ログ読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async queryLogs({ userId = null, eventTypes = null, since = null, until = null, limit = 50, offset = 0 } = {}) {
+      try {
+        const params = [userId, since, until, eventTypes];
+        const countResult = await pool.query(`SELECT COUNT(*) FROM bot_logs ${logConditions}`, params);
+        const result = await pool.query(`
+          SELECT event_type, user_id, message, created_at FROM bot_logs ${logConditions}
+          ORDER BY created_at DESC, id DESC LIMIT $5 OFFSET $6
+        `, [...params, limit, offset]);
+        return {
+          total: Number(countResult.rows[0].count),
+          logs: result.rows.map(toLogEntry)
+        };
+      } catch (error) {
+        console.error('ログ検索エラー:', error);
+        throw error;
+      }
+    },
+
+    async addDeadLetter(entry) {
+      const result = await pool.query(`
+        INSERT INTO dead_letters (kind, user_id, recipients, messages, error, attempts, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+      `, [entry.kind, entry.userId, JSON.stringify(entry.recipients), JSON.stringify(entry.messages),
+        entry.error, entry.attempts, entry.createdAt]);
+      return result.rows[0].id;
+    },
+
+    async listDeadLetters({ includeResolved = false, limit = 50 } = {}) {
+      try {
+        const result = await pool.query(`
+          SELECT * FROM dead_letters WHERE $1 OR resolved_at IS NULL
+          ORDER BY id DESC LIMIT $2
+        `, [includeResolved, limit]);
+        return result.rows.map(toDeadLetter);
+      } catch (error) {
+        console.error('配信失敗一覧読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async getDeadLetter(id) {
+      try {
+        const result = await pool.query('SELECT * FROM dead_letters WHERE id = $1', [id]);
+        return result.rows[0] ? toDeadLetter(result.rows[0]) : null;
+      } catch (error) {
+        console.error('配信失敗読み込みエラー:', error);
+        throw error;
+      }
+    },
+
+    async markDeadLetterResent(id) {
+      await pool.query('UPDATE dead_letters SET resolved_at = NOW() WHERE id = $1', [id]);
+    },
+
+    async markDeadLetterFailed(id, error, attempts) {
+      await pool.query(
+        'UPDATE dead_letters SET error = $2, attempts = attempts + $3 WHERE id = $1',
+        [id, error, attempts]
+      );
+    },
+
+    async health() {
+      await pool.query('SELECT 1');
+      return { database: 'connected', storage: 'database' };
+    },
+
+    snapshot() {
+      return null;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+// 設定からストレージを選ぶ
+function createStorage() {
+  const type = process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+  if (!STORAGE_TYPES.includes(type)) {
+    console.error(`❌ STORAGE は ${STORAGE_TYPES.join(' / ')} のいずれかを指定してください: ${type}`);
+    process.exit(1);
+  }
+
+  if (type === 'postgres') {
+    if (!process.env.DATABASE_URL) {
+      console.error('❌ STORAGE=postgres には DATABASE_URL が必要です');
+      process.exit(1);
+    }
+    try {
+      const postgresStorage = createPostgresStorage(process.env.DATABASE_URL);
+      console.log('✅ データベース設定を検出しました');
+      return postgresStorage;
+    } catch (error) {
+      console.error('❌ データベース設定エラー:', error.message);
+      process.exit(1);
+    }
+  }
+
+  if (type === 'file') {
+    return createFileStorage(path.resolve(process.env.STORAGE_FILE || './data/storage.json'));
+  }
+
+  console.log('ℹ️ 永続ストレージ未設定、メモリストレージを使用します');
+  return createMemoryStorage();
+}
+
+// スケジュールを変える操作のあとは開始の予約をやり直す（コマンド・API・インポートのどこから変えても同じ）
+const SCHEDULE_MUTATIONS = ['addExcludeDate', 'removeExcludeDate', 'setCustomTime', 'removeCustomTime', 'setWeeklyRule', 'removeWeeklyRule', 'setCheckedIn'];
+
+function watchScheduleChanges(backend) {
+  SCHEDULE_MUTATIONS.forEach(method => {
+    const original = backend[method].bind(backend);
+    backend[method] = async (userId, ...args) => {
+      await original(userId, ...args);
+      requestPlan(userId);
+    };
+  });
+  return backend;
+}
+
+let storage = watchScheduleChanges(createStorage());
+
+// ストレージ初期化と保存済みユーザーの読み込み
+// 初期化に失敗した場合はメモリストレージで続けず起動を止める（再起動でデータが消えるため）
+async function initializeStorage() {
+  try {
+    await storage.initialize();
+  } catch (error) {
+    console.error(`❌ ストレージ初期化エラー (${STORAGE_LABELS[storage.type]}):`, error.message);
+    await storage.close().catch(() => {});
+    throw error;
+  }
+  await loadMembers();
+}
+
+// 起床確認セッションの永続化（再起動時の再開用）
+// 保存に失敗しても起床確認自体は止めない
+async function saveSessionState(userId, session) {
+  try {
+    await storage.saveSessionState(userId, {
+      startTime: session.startTime,
+      startedAt: session.startedAt,
+      deadline: session.deadline,
+      remindersSent: session.remindersSent,
+      stagesNotified: session.stagesNotified,
+      snoozedMinutes: session.snoozedMinutes,
+      snoozeUntil: session.snoozeUntil,
+      lastReminderAt: session.lastReminderAt,
+      hasResponded: session.hasResponded
+    });
+  } catch (error) {
+    console.error('セッション保存エラー:', error);
+  }
+}
+
+async function clearSessionState(userId) {
+  try {
+    await storage.clearSessionState(userId);
+  } catch (error) {
+    console.error('セッション削除エラー:', error);
+  }
+}
+
+function formatEscalationPolicy(target, policy, lang = DEFAULT_LANGUAGE) {
+  const stages = policy.stages.map((stage, index) => t(lang, 'policy_stage', {
+    after: stage.after,
+    recipients: stage.notify === 'all'
+      ? t(lang, 'policy_recipients_all', { count: target.notifyUserIds.length })
+      : t(lang, 'policy_recipients', { count: stage.notify.length }),
+    message: stage.message || t(lang, 'policy_template'),
+    ending: index === policy.stages.length - 1 ? t(lang, 'policy_final') : ''
+  }));
+  const snoozeLimit = policy.snoozeLimit ?? DEFAULT_ESCALATION_POLICY.snoozeLimit;
+  const challenge = policy.challenge || DEFAULT_ESCALATION_POLICY.challenge;
+  const challengeText = challenge.mode === 'off'
+    ? t(lang, 'policy_no_challenge')
+    : t(lang, 'policy_challenge', { mode: CHALLENGE_MODE_LABELS[lang][challenge.mode], difficulty: challenge.difficulty, attempts: challenge.attempts });
+  return t(lang, 'policy_summary', {
+    key: target.key,
+    interval: policy.reminderInterval,
+    snoozeLimit,
+    challenge: challengeText,
+    stages: stages.join('\n')
+  });
+}
+
+// 起床チャレンジ（寝ぼけた返信で終わらないように問題を出す）
+const CHALLENGE_MODE_LABELS = {
+  ja: { off: 'オフ', math: '計算', word: '単語', mix: 'ミックス' },
+  en: { off: 'off', math: 'math', word: 'words', mix: 'mix' }
+};
+const CHALLENGE_WORDS = {
+  ja: {
+    1: ['ねこ', 'いぬ', 'そら', 'うみ', 'やま', 'はな', 'ほし', 'あめ'],
+    2: ['おはようございます', 'めざましどけい', 'あさごはん', 'はみがき', 'いってきます', 'せんたくもの']
+  },
+  en: {
+    1: ['cat', 'dog', 'sky', 'sea', 'tree', 'star', 'rain', 'moon'],
+    2: ['breakfast', 'toothbrush', 'sunshine', 'wonderful', 'adventure', 'umbrella']
+  }
+};
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function createChallenge(settings, lang = DEFAULT_LANGUAGE) {
+  const mode = settings.mode === 'mix' ? (Math.random() < 0.5 ? 'math' : 'word') : settings.mode;
+  const { difficulty } = settings;
+  let question;
+  let answer;
+  
+  if (mode === 'math') {
+    if (difficulty <= 1) {
+      const [a, b] = [randomInt(1, 9), randomInt(1, 9)];
+      [question, answer] = [`${a} + ${b}`, a + b];
+    } else if (difficulty === 2) {
+      const [a, b] = [randomInt(10, 99), randomInt(10, 99)];
+      [question, answer] = Math.random() < 0.5 ? [`${a} + ${b}`, a + b] : [`${Math.max(a, b)} - ${Math.min(a, b)}`, Math.abs(a - b)];
+    } else {
+      const [a, b, c] = [randomInt(11, 99), randomInt(3, 9), randomInt(10, 99)];
+      [question, answer] = [`${a} × ${b} + ${c}`, a * b + c];
+    }
+    return { question: `🧮 ${question} = ?`, answer: String(answer), attemptsLeft: settings.attempts };
+  }
+  
+  if (difficulty >= 3) {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    answer = Array.from({ length: 8 }, () => chars[randomInt(0, chars.length - 1)]).join('');
+  } else {
+    const words = CHALLENGE_WORDS[lang][Math.max(1, difficulty)];
+    answer = words[randomInt(0, words.length - 1)];
+  }
+  return { question: t(lang, 'challenge_word', { answer }), answer, attemptsLeft: settings.attempts };
+}
+
+// 小文字だけの答え（英単語）は大文字小文字を区別しない（スマホの自動大文字対策）
+function matchesAnswer(text, answer) {
+  return text === answer || (answer === answer.toLowerCase() && text.toLowerCase() === answer);
+}
+
+// 指定日の起動時刻を決定（除外 > 早起き報告済み > 日付指定の変更 > 祝日 > 曜日ルール > ターゲットの通常時刻）
+function resolveStartTime(target, schedule, day) {
+  const date = day.format('YYYY-MM-DD');
+  if (schedule.exclude.includes(date)) {
+    return { time: null, source: 'exclude' };
+  }
+  if (schedule.checkedIn.includes(date)) {
+    return { time: null, source: 'checkin' };
+  }
+  if (schedule.change[date]) {
+    return { time: schedule.change[date], source: 'change' };
+  }
+  const holiday = target.holidayMode !== 'off' ? getHolidayName(date) : null;
+  if (holiday) {
+    return {
+      time: target.holidayMode === 'shift' ? target.holidayTime : null,
+      source: 'holiday',
+      holiday
+    };
+  }
+  if (schedule.weekly[day.day()]) {
+    return { time: schedule.weekly[day.day()], source: 'weekly' };
+  }
+  return { time: target.defaultTime, source: 'default' };
+}
+
+// スケジュールの変更（すべてここを通し、実行者と変更前後の値を変更履歴に残す）
+// by: { actor: LINEユーザーID / 'api' / 'system', batch: 1回の操作のID（取り消しの単位）, source: 操作内容 }
+// field: exclude（true/false）/ change（日付ごとの時刻、null で解除）/ weekly（曜日ごとの時刻、null で解除）/ checkin（早起き報告、true のみ）
+const SYSTEM_ACTOR_LABELS = {
+  ja: { api: '管理API', system: 'システム' },
+  en: { api: 'Admin API', system: 'System' }
+};
+const SCHEDULE_FIELD_LABELS = {
+  ja: { change: '時刻', weekly: '曜日ルール' },
+  en: { change: 'time', weekly: 'weekly rule' }
+};
+
+function changeContext(actor, source) {
+  return { actor, batch: crypto.randomUUID(), source: String(source).split('\n')[0].slice(0, 100) };
+}
+
+function readScheduleValue(schedule, field, key) {
+  if (field === 'exclude') {
+    return schedule.exclude.includes(key);
+  }
+  if (field === 'change') {
+    return schedule.change[key] || null;
+  }
+  if (field === 'weekly') {
+    return schedule.weekly[key] || null;
+  }
+  return schedule.checkedIn.includes(key);
+}
+
+async function updateSchedule(by, userId, field, key, value) {
+  const before = readScheduleValue(await storage.loadSchedule(userId), field, key);
+  if (field === 'exclude') {
+    await (value ? storage.addExcludeDate(userId, key) : storage.removeExcludeDate(userId, key));
+  } else if (field === 'change') {
+    await (value ? storage.setCustomTime(userId, key, value) : storage.removeCustomTime(userId, key));
+  } else if (field === 'weekly') {
+    await (value ? storage.setWeeklyRule(userId, Number(key), value) : storage.removeWeeklyRule(userId, Number(key)));
+  } else {
+    await storage.setCheckedIn(userId, key);
+  }
+  if (before === value) {
+    return;
+  }
+  
+  // 履歴の保存に失敗しても変更自体は止めない
+  try {
+    await storage.addScheduleChange({
+      userId,
+      actor: by.actor,
+      batch: by.batch,
+      source: by.source,
+      field,
+      key: String(key),
+      before,
+      after: value,
+      revertOf: by.revertOf ?? null,
+      createdAt: new Date(clock.now()).toISOString(),
+      revertedAt: null
+    });
+  } catch (error) {
+    console.error('変更履歴の保存エラー:', error);
+  }
+}
+
+function describeScheduleChange(change, lang = DEFAULT_LANGUAGE) {
+  const target = targetsByUserId.get(change.userId);
+  const label = change.field === 'weekly'
+    ? t(lang, 'history_weekday', { day: WEEKDAY_NAMES[lang][change.key] })
+    : formatDateList([change.key], lang);
+  let body;
+  if (change.field === 'exclude') {
+    body = t(lang, change.after ? 'history_excluded' : 'history_included');
+  } else if (change.field === 'checkin') {
+    body = t(lang, 'history_checkin');
+  } else {
+    body = `${SCHEDULE_FIELD_LABELS[lang][change.field]} ${change.before || t(lang, 'history_none')}→${change.after || t(lang, 'history_none')}`;
+  }
+  return `${target ? target.key : change.userId} ${label} ${body}`;
+}
+
+async function describeActor(actor, lang = DEFAULT_LANGUAGE) {
+  return SYSTEM_ACTOR_LABELS[lang][actor] || getDisplayName(actor);
+}
+
+// 変更履歴（1回の操作ごとにまとめ、新しい順）
+async function formatScheduleHistory(changes, lang = DEFAULT_LANGUAGE) {
+  if (changes.length === 0) {
+    return t(lang, 'history_empty');
+  }
+  const sections = [];
+  let current = null;
+  for (const change of changes) {
+    if (!current || current.batch !== change.batch) {
+      const at = dayjs(change.createdAt).tz(defaultTimezone).format('M/D HH:mm');
+      current = { batch: change.batch, lines: [t(lang, 'history_batch', { at, actor: await describeActor(change.actor, lang), source: change.source })] };
+      sections.push(current);
+    }
+    const mark = change.revertOf ? '↩️ ' : '・';
+    current.lines.push(`${mark}${describeScheduleChange(change, lang)}${change.revertedAt ? t(lang, 'history_reverted') : ''}`);
+  }
+  return `${t(lang, 'history_title')}\n\n${sections.map(section => section.lines.join('\n')).join('\n\n')}`;
+}
+
+// 実行者の直前の操作をまとめて元に戻す（その後に別の変更があった項目が1つでもあれば何もしない）
+// 早起き報告はターゲット本人の報告なので取り消しの対象にしない
+async function undoLastScheduleChange(actor) {
+  const changes = await storage.getLastScheduleBatch(actor);
+  
+  // 同じ項目を1回の操作で何度か変えた場合は、最初の変更前の値に戻す
+  const items = new Map();
+  changes.forEach(change => {
+    const itemKey = `${change.userId}:${change.field}:${change.key}`;
+    const item = items.get(itemKey);
+    items.set(itemKey, item ? { ...item, after: change.after } : { ...change });
+  });
+  
+  const conflicts = [];
+  for (const item of items.values()) {
+    const current = readScheduleValue(await storage.loadSchedule(item.userId), item.field, item.key);
+    if (current !== item.after) {
+      conflicts.push(item);
+    }
+  }
+  if (changes.length === 0 || conflicts.length > 0) {
+    return { changes, conflicts, reverted: [] };
+  }
+  
+  const by = changeContext(actor, `取り消し: ${changes[0].source}`);
+  const reverted = [...items.values()].reverse().map(item => ({ ...item, before: item.after, after: item.before }));
+  for (const item of reverted) {
+    await updateSchedule({ ...by, revertOf: item.id }, item.userId, item.field, item.key, item.after);
+  }
+  await storage.markScheduleBatchReverted(changes[0].batch, new Date(clock.now()).toISOString());
+  return { changes, conflicts, reverted };
+}
+
+// schedule.json のインポート・エクスポート
+// 形式: { "excluded": ["YYYY-MM-DD"], "early": [{ "date": "YYYY-MM-DD", "time": "HH:MM" }], "weekly": { "月": "HH:MM" } }
+// "targets": { "<key>": { ...同じ形式 } } でターゲット別にも指定できる（トップレベルは全ターゲット共通）
+const scheduleFile = process.env.SCHEDULE_FILE || path.join(__dirname, 'schedule.json');
+
+function parseScheduleSection(section, label, errors) {
+  const result = { excluded: [], early: [], weekly: {} };
+  if (!section) {
+    return result;
+  }
+
+  (section.excluded || []).forEach(date => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      result.excluded.push(date);
+    } else {
+      errors.push(`${label}excluded: ${date}`);
+    }
+  });
+
+  (section.early || []).forEach(entry => {
+    // "YYYY-MM-DD HH:MM" または { date, time } / { date, hour }
+    const [date, timeValue] = typeof entry === 'string'
+      ? entry.split(' ')
+      : [entry?.date, entry?.time ?? entry?.hour];
+    const time = parseTime(timeValue);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date || '') && time) {
+      result.early.push({ date, time });
+    } else {
+      errors.push(`${label}early: ${JSON.stringify(entry)}`);
+    }
+  });
+
+  Object.entries(section.weekly || {}).forEach(([day, timeValue]) => {
+    const weekdays = parseWeekdays(day);
+    const time = parseTime(timeValue);
+    if (weekdays && time) {
+      weekdays.forEach(weekday => {
+        result.weekly[weekday] = time;
+      });
+    } else {
+      errors.push(`${label}weekly: ${day}`);
+    }
+  });
+
+  return result;
+}
+
+// 全件を検証してから書き込む（不正な値が1つでもあれば何も変更しない）
+async function importSchedule(data, selected, by, lang = DEFAULT_LANGUAGE) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(t(lang, 'import_not_object'));
+  }
+
+  const errors = [];
+  const common = parseScheduleSection(data, '', errors);
+  const plans = selected.map(target => ({
+    target,
+    own: parseScheduleSection(data.targets?.[target.key], `targets.${target.key}.`, errors)
+  }));
+  if (errors.length > 0) {
+    throw new Error(t(lang, 'import_invalid', { errors: errors.join(', ') }));
+  }
+
+  const summary = [];
+  for (const { target, own } of plans) {
+    const excluded = [...new Set([...common.excluded, ...own.excluded])];
+    const early = [...common.early, ...own.early];
+    const weekly = { ...common.weekly, ...own.weekly };
+
+    for (const date of excluded) {
+      await updateSchedule(by, target.userId, 'exclude', date, true);
+    }
+    for (const { date, time } of early) {
+      await updateSchedule(by, target.userId, 'change', date, time);
+    }
+    for (const [weekday, time] of Object.entries(weekly)) {
+      await updateSchedule(by, target.userId, 'weekly', Number(weekday), time);
+    }
+    summary.push({ key: target.key, excluded: excluded.length, early: early.length, weekly: Object.keys(weekly).length });
+  }
+  return summary;
+}
+
+async function exportSchedule(selected) {
+  const sections = {};
+  for (const target of selected) {
+    const schedule = await storage.loadSchedule(target.userId);
+    const weekly = {};
+    Object.entries(schedule.weekly).forEach(([weekday, time]) => {
+      weekly[WEEKDAY_LABELS[weekday]] = time;
+    });
+    sections[target.key] = {
+      excluded: [...schedule.exclude],
+      early: Object.entries(schedule.change).map(([date, time]) => ({ date, time })),
+      weekly
+    };
+  }
+
+  // 単一ターゲットは元の schedule.json と同じ形式で出力
+  return selected.length === 1 ? sections[selected[0].key] : { targets: sections };
+}
+
+function readScheduleFile() {
+  return JSON.parse(fs.readFileSync(scheduleFile, 'utf8'));
+}
+
+// 起動時のシード（SCHEDULE_FILE 指定時、設定が空のターゲットのみ）
+async function seedScheduleFromFile() {
+  if (!process.env.SCHEDULE_FILE) {
+    return;
+  }
+
+  try {
+    const data = readScheduleFile();
+    const emptyTargets = [];
+    for (const target of targets) {
+      const schedule = await storage.loadSchedule(target.userId);
+      if (schedule.exclude.length === 0 && Object.keys(schedule.change).length === 0 && Object.keys(schedule.weekly).length === 0) {
+        emptyTargets.push(target);
+      }
+    }
+    if (emptyTargets.length === 0) {
+      return;
+    }
+
+    const summary = await importSchedule(data, emptyTargets, changeContext('system', `SCHEDULE_FILE: ${scheduleFile}`));
+    console.log(`✅ ${scheduleFile} からスケジュールを読み込みました:`, summary);
+    await logEvent('schedule_imported', null, `seed: ${JSON.stringify(summary)}`);
+  } catch (error) {
+    console.warn(`⚠️ ${scheduleFile} の読み込みエラー:`, error.message);
+  }
+}
+
+// ログ記録
+async function logEvent(eventType, userId = null, message = null) {
+  const logEntry = {
+    timestamp: new Date(clock.now()).toISOString(),
+    eventType,
+    userId,
+    message
+  };
+
+  try {
+    await storage.appendLog(logEntry);
+  } catch (error) {
+    console.error('ログ記録エラー:', error);
+    // ストレージエラーの場合、コンソールに出力
+    console.log(`📝 [${eventType}] ${userId || 'system'}: ${message || ''}`);
+  }
+}
+
+// メトリクス（GET /metrics で Prometheus のテキスト形式、カウンターはプロセス内の集計なので再起動で0に戻る）
+// カウンターは発生したラベルの組み合わせだけ出す。ラベルにはターゲットのキーを使い、ユーザーIDは含めない
+const METRIC_PREFIX = 'wakeup_bot_';
+const COUNTER_DEFINITIONS = {
+  wakeups_started_total: 'Wake-up checks started',
+  reminders_sent_total: 'Wake-up and reminder messages delivered to targets',
+  responses_total: 'Replies from targets that ended or paused a wake-up check (result: awake / snooze / challenge_failed)',
+  timeouts_total: 'Wake-up checks that reached the final escalation stage without a reply',
+  push_failures_total: 'Push messages that could not be delivered after retries (code: HTTP status or network)',
+  command_errors_total: 'Errors while handling commands and postbacks'
+};
+const counters = new Map(Object.keys(COUNTER_DEFINITIONS).map(name => [name, new Map()]));
+
+function incrementCounter(name, labels = {}) {
+  const series = counters.get(name);
+  const key = JSON.stringify(labels);
+  const entry = series.get(key) || { labels, value: 0 };
+  entry.value += 1;
+  series.set(key, entry);
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} ${type}`];
+  samples.forEach(({ labels, value }) => {
+    lines.push(`${METRIC_PREFIX}${name}${formatMetricLabels(labels)} ${value}`);
+  });
+  return lines.join('\n');
+}
+
+function renderMetrics() {
+  const sections = Object.entries(COUNTER_DEFINITIONS)
+    .map(([name, help]) => formatMetric(name, 'counter', help, [...counters.get(name).values()]));
+
+  const activeSessions = [...sessions.values()].filter(session => session.active).length;
+  sections.push(formatMetric('active_sessions', 'gauge', 'Wake-up checks in progress', [{ labels: {}, value: activeSessions }]));
+
+  // スケジューラーは開始時刻ちょうどと START_REPLAN_MS ごとに動くので、通常はその間隔を超えない
+  const tickAge = lastSchedulerTickAt === null ? [] : [{ labels: {}, value: Math.max(0, (clock.now() - lastSchedulerTickAt) / 1000) }];
+  sections.push(formatMetric('scheduler_last_tick_age_seconds', 'gauge',
+    'Seconds since the scheduler last planned starts without an error', tickAge));
+
+  return `${sections.join('\n')}\n`;
+}
+
+// 統計（bot_logs の起床確認ごとの結果を集計）
+const STATS_EVENT_TYPES = ['bot_started', 'wakeup_sent', 'user_responded', 'escalation_notification', 'timeout_notification'];
+const STREAK_LOOKBACK_DAYS = 365;
+
+// bot_started から次の bot_started までを1回の起床確認として扱う
+function buildSessionHistory(logs) {
+  const history = [];
+  let current = null;
+
+  for (const log of logs) {
+    if (log.eventType === 'bot_started') {
+      current = { startedAt: log.timestamp, reminders: 0, respondedAt: null, escalated: false, timedOut: false };
+      history.push(current);
+      continue;
+    }
+    if (!current || current.respondedAt || current.timedOut) {
+      continue;
+    }
+
+    if (log.eventType === 'wakeup_sent') {
+      current.reminders += 1;
+    } else if (log.eventType === 'user_responded') {
+      current.respondedAt = log.timestamp;
+    } else if (log.eventType === 'escalation_notification') {
+      current.escalated = true;
+    } else if (log.eventType === 'timeout_notification') {
+      current.timedOut = true;
+    }
+  }
+  return history;
+}
+
+// 時間内 = エスカレーション通知が出る前に返信した
+function isOnTime(session) {
+  return !!session.respondedAt && !session.escalated;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function average(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function roundMinutes(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// 統計期間: "30日" / "30d" / "30" / "YYYY-MM-DD〜YYYY-MM-DD"（ターゲットのタイムゾーンの日付、終了日を含む）
+function parseStatsPeriod(value, zone) {
+  if (!value) {
+    value = '30';
+  }
+  const range = /^(\d{4}-\d{2}-\d{2})[〜~](\d{4}-\d{2}-\d{2})$/.exec(value);
+  if (range) {
+    const from = dayjs.tz(range[1], zone);
+    const to = dayjs.tz(range[2], zone).add(1, 'day');
+    return from.isValid() && to.isValid() && from.isBefore(to)
+      ? { from: from.toDate(), to: to.toDate() }
+      : null;
+  }
+  const days = /^(\d+)(?:日|d)?$/i.exec(value);
+  if (days && Number(days[1]) >= 1 && Number(days[1]) <= STREAK_LOOKBACK_DAYS) {
+    return { from: dayjs(clock.now()).subtract(Number(days[1]), 'day').toDate(), to: new Date(clock.now()) };
+  }
+  return null;
+}
+
+async function computeStats(target, period) {
+  const lookbackStart = dayjs(clock.now()).subtract(STREAK_LOOKBACK_DAYS, 'day').toDate();
+  const since = period.from < lookbackStart ? period.from : lookbackStart;
+  const logs = await storage.loadLogs({ userId: target.userId, since, eventTypes: STATS_EVENT_TYPES });
+  const history = buildSessionHistory(logs);
+  const inPeriod = history.filter(session => session.startedAt >= period.from && session.startedAt < period.to);
+
+  const responseMinutes = inPeriod
+    .filter(session => session.respondedAt)
+    .map(session => (session.respondedAt - session.startedAt) / 60000);
+  const reminders = inPeriod.map(session => session.reminders);
+
+  // 現在の連続記録（直近の起床確認から遡る、進行中のものは除く）
+  let streak = 0;
+  const finished = history.filter(session => session.respondedAt || session.timedOut);
+  for (let i = finished.length - 1; i >= 0 && isOnTime(finished[i]); i--) {
+    streak += 1;
+  }
+
+  const byWeekday = [1, 2, 3, 4, 5, 6, 0].map(weekday => {
+    const sessionsOnDay = inPeriod.filter(session => dayjs(session.startedAt).tz(target.timezone).day() === weekday);
+    const minutes = sessionsOnDay
+      .filter(session => session.respondedAt)
+      .map(session => (session.respondedAt - session.startedAt) / 60000);
+    return {
+      weekday: WEEKDAY_LABELS[weekday],
+      sessions: sessionsOnDay.length,
+      responded: minutes.length,
+      onTime: sessionsOnDay.filter(isOnTime).length,
+      averageMinutes: roundMinutes(average(minutes))
+    };
+  });
+
+  return {
+    target: target.key,
+    period: { from: period.from.toISOString(), to: period.to.toISOString() },
+    sessions: inPeriod.length,
+    responded: responseMinutes.length,
+    timedOut: inPeriod.filter(session => session.timedOut).length,
+    onTime: inPeriod.filter(isOnTime).length,
+    responseMinutes: {
+      average: roundMinutes(average(responseMinutes)),
+      median: roundMinutes(median(responseMinutes))
+    },
+    reminders: {
+      total: reminders.reduce((sum, count) => sum + count, 0),
+      average: roundMinutes(average(reminders))
+    },
+    streak,
+    byWeekday
+  };
+}
+
+function formatStats(stats, target, lang = DEFAULT_LANGUAGE) {
+  const format = date => dayjs(date).tz(target.timezone).format('YYYY-MM-DD');
+  const minutes = value => value === null ? '-' : t(lang, 'stats_minutes', { value });
+  const weekdayLines = stats.byWeekday
+    .filter(day => day.sessions > 0)
+    .map(day => t(lang, 'stats_weekday', {
+      day: WEEKDAY_NAMES[lang][WEEKDAY_LABELS.indexOf(day.weekday)],
+      responded: day.responded,
+      sessions: day.sessions,
+      average: minutes(day.averageMinutes)
+    }));
+
+  return t(lang, 'stats_summary', {
+    key: stats.target,
+    from: format(stats.period.from),
+    to: format(new Date(stats.period.to).getTime() - 1),
+    sessions: stats.sessions,
+    responded: stats.responded,
+    onTime: stats.onTime,
+    timedOut: stats.timedOut,
+    average: minutes(stats.responseMinutes.average),
+    median: minutes(stats.responseMinutes.median),
+    reminders: stats.reminders.total,
+    remindersAverage: stats.reminders.average ?? '-',
+    streak: stats.streak
+  }) + (weekdayLines.length > 0 ? `\n\n${t(lang, 'stats_by_weekday')}\n${weekdayLines.join('\n')}` : '');
+}
+
+// LINE のプロフィール取得（キャッシュ付き、取得できない場合は null）
+async function getProfile(userId) {
+  if (!profileCache[userId]) {
+    try {
+      profileCache[userId] = await client.getProfile(userId);
+    } catch (error) {
+      console.error('プロフィール取得エラー:', error);
+      return null;
+    }
+  }
+  return profileCache[userId];
+}
+
+// ユーザー名取得
+async function getDisplayName(userId) {
+  const profile = await getProfile(userId);
+  return profile ? profile.displayName : `User(${userId.slice(-8)})`;
+}
+
+// 言語（ユーザー・グループごとに「言語」コマンドで設定、未設定のユーザーは LINE のプロフィールの言語で決める）
+// 返信・通知の文言は MESSAGES のキーで指定する（英語にない文言は日本語で送る）
+const LANGUAGE_LABELS = { ja: '日本語', en: 'English' };
+const LANGUAGE_ALIASES = { 日本語: 'ja', japanese: 'ja', 英語: 'en', english: 'en' };
+const DEFAULT_LANGUAGE = 'ja';
+
+const MESSAGES = {
+  ja: {
+    // 日付
+    date_help: '使える形式: YYYY-MM-DD / M/D / 今日 / 明日 / 明後日 / N日後 / 月曜 / 今週金曜 / 来週月曜 / 開始〜終了 / 毎週土曜',
+    date_unrecognized: '❌ 日付を認識できません: {expr}\n{help}（範囲は{max}日まで）',
+    none_given: '(なし)',
+    target_not_found: '❌ ターゲットが見つかりません。登録済み: {keys}',
+    dates_applied: '✅ {description}（{count}日分）',
+    recurring_note: '※{weeks}週間分の日付に適用しました。恒久的に設定するには「曜日設定」を使ってください。',
+
+    // ユーザーと招待
+    everyone: '全員',
+    invite_prompt: 'このアカウントは招待制です。管理者から受け取った招待コード（{length}文字）を送ってください。',
+    approve_member_text: '承認 {id}',
+    reject_member_text: '却下 {id}',
+    welcome_admin: '「ヘルプ」でコマンド一覧を表示できます。',
+    welcome_notifier: '起床・未返信のお知らせが届くようになります。',
+    welcome_target: '毎朝の起床確認が届いたら「起きた」と返信してね！\n{help}',
+    invite_invalid: '❌ 招待コードが正しくないか、有効期限が切れています。管理者に確認してください。',
+    member_pending: '⏳ 管理者の承認待ちです。',
+    member_exists: 'ℹ️ すでに登録されています。',
+    invite_target_taken: '❌ このターゲットはすでに登録されています。管理者に確認してください。',
+    invite_accepted: '✅ 招待コードを受け付けました。管理者の承認をお待ちください。',
+    member_admin_notice: '🙋 {name} さんから参加申請があります。\n#{id} {role}',
+    member_not_found: '❌ 承認待ちの申請 #{id} はありません。「ユーザー一覧」で確認してください。',
+    member_target_taken: '❌ ターゲット {key} またはこのユーザーはすでにターゲットとして登録されています。',
+    member_approved: '✅ {name} さんを{role}として登録しました。(#{id})',
+    member_rejected: '🗑️ {name} さんの申請を却下しました。(#{id})',
+    member_approved_notice: '🎉 {role}として登録されました！\n{welcome}',
+    member_rejected_notice: '申し訳ありませんが、参加申請は承認されませんでした。',
+    members_empty: '👥 登録ユーザーはいません',
+    members_title: '👥 登録ユーザー',
+    members_pending: '⏳ 承認待ち {count}件（「承認 番号」/「却下 番号」）',
+    member_pending_wait: '⏳ 管理者の承認待ちです。承認されるまでお待ちください。',
+    not_accepted: '申し訳ありませんが、このアカウントでは個別のお問い合わせを受け付けておりません。次の配信までお待ちください',
+    invite_usage: '❌ 使い方: 招待 管理者 / 招待 通知 [対象] / 招待 ターゲット キー',
+    invite_key_invalid: '❌ ターゲットのキーを英数字で指定してください（例: 招待 ターゲット taro）',
+    invite_key_taken: '❌ キー {key} はすでに使われています。',
+    invite_created: '🎟️ 招待コード: {code}\n{role}・{hours}時間有効・1回限り\nボットを友だち追加して、このコードを送ってもらってください。承認すると登録されます。',
+    member_id_usage: '❌ 使い方: {command} 番号（番号は「ユーザー一覧」で確認）',
+    member_last_admin: '❌ 最後の管理者は削除できません。',
+    member_removed: '🗑️ {name} さんの{role}を削除しました。(#{id})',
+    follow_greeting: '👋 友だち追加ありがとう！',
+
+    // エスカレーション設定
+    policy_stage: '{after}分後 → {recipients}: {message}{ending}',
+    policy_recipients_all: '全員({count}人)',
+    policy_recipients: '{count}人',
+    policy_template: '（escalation テンプレート）',
+    policy_final: ' ※終了',
+    policy_no_challenge: 'なし',
+    policy_challenge: '{mode} (難易度{difficulty}, {attempts}回まで)',
+    policy_summary: '👤 {key}\nリマインダー: {interval}分ごと\nスヌーズ上限: {snoozeLimit}分\nチャレンジ: {challenge}\n{stages}',
+    policy_title: '🚨 エスカレーション設定',
+    interval_usage: '❌ 間隔は1〜60分で指定してください。例: リマインド間隔 5',
+    interval_changed: '✅ リマインダー間隔を {minutes} 分に変更しました。次回の起床確認から適用されます。({keys})',
+    snooze_limit_usage: '❌ 上限は0分以上で指定してください（0でスヌーズ無効）。例: スヌーズ上限 30',
+    snooze_limit_changed: '✅ スヌーズ上限を {minutes} 分に変更しました。次回の起床確認から適用されます。({keys})',
+    challenge_usage: '❌ 形式が正しくありません。例: チャレンジ設定 計算 2 3（モード: オフ/計算/単語/ミックス、難易度1〜3、回数1〜10）',
+    challenge_changed: '✅ 起床チャレンジを {mode} に設定しました。({keys})',
+    stage_add_usage: '❌ 形式が正しくありません。例: 段階追加 30 全員 ⚠️ {name} がまだ起きていません（1〜{max}分）',
+    stage_added: '✅ {minutes}分後の段階を設定しました。次回の起床確認から適用されます。({keys})',
+    stage_not_found: '❌ {key} に {minutes}分後の段階はありません。',
+    stage_last: '❌ 最後の段階は削除できません。段階リセットで既定値に戻せます。',
+    stage_removed: '✅ {minutes}分後の段階を削除しました。({keys})',
+    policy_reset: '✅ エスカレーション設定を既定値に戻しました。({keys})',
+
+    // 起床チャレンジ
+    challenge_word: '⌨️ 「{answer}」と入力してね',
+
+    // スケジュールの変更履歴
+    history_weekday: '{day}曜',
+    history_excluded: '除外に追加',
+    history_included: '除外を解除',
+    history_checkin: '早起き報告',
+    history_none: 'なし',
+    history_empty: '📜 スケジュールの変更履歴はありません',
+    history_title: '📜 スケジュールの変更履歴（新しい順）',
+    history_batch: '{at} {actor}「{source}」',
+    history_reverted: '（取り消し済み）',
+    undo_nothing: 'ℹ️ 取り消せる変更はありません。',
+    undo_conflict: '❌ その後に変更された項目があるため、「{source}」を取り消せませんでした。',
+    undo_done: '↩️ 「{source}」を取り消しました。',
+
+    // スケジュールのインポート
+    import_not_object: 'スケジュールデータはオブジェクトで指定してください',
+    import_invalid: '不正な値があります: {errors}',
+    import_read_failed: '❌ スケジュールデータを読み込めませんでした: {error}',
+    import_line: '👤 {key}: 除外 {excluded}件 / 変更 {early}件 / 曜日 {weekly}件',
+    import_done: '✅ スケジュールをインポートしました。',
+
+    // 統計
+    stats_minutes: '{value}分',
+    stats_weekday: '{day}: {responded}/{sessions}回 平均{average}',
+    stats_summary: '👤 {key} ({from}〜{to})\n' +
+      '起床確認: {sessions}回（返信 {responded} / 時間内 {onTime} / タイムアウト {timedOut}）\n' +
+      '返信までの時間: 平均 {average} / 中央値 {median}\n' +
+      'リマインダー: 合計 {reminders}通 / 平均 {remindersAverage}通\n' +
+      '連続時間内記録: {streak}回',
+    stats_by_weekday: '曜日別',
+    stats_usage: '❌ 期間の形式が正しくありません。例: 統計 30日 / 統計 2024-08-01〜2024-08-31',
+    stats_title: '📊 起床統計',
+
+    // メッセージテンプレート
+    templates_title: '📝 メッセージテンプレート',
+    template_section: '■ {key}（{label}）{mark}\n  {mode}\n{lines}',
+    template_default_mark: ' ※既定',
+    template_variables: '変数: {variables}',
+    template_not_found: '❌ テンプレートが見つかりません。キー: {keys}',
+    template_add_usage: '❌ 文面を指定してください。例: テンプレート追加 wakeup おはよう{name}！朝だよ☀️',
+    template_added: '{index}番目の文面を追加しました',
+    template_index_invalid: '❌ 番号は1〜{max}で指定してください。',
+    template_removed: '{index}番目の文面を削除しました',
+    template_emptied: '文面がなくなったため既定値に戻しました',
+    template_mode_usage: '❌ ランダム または 順番 を指定してください。',
+    template_mode_changed: '選び方を{mode}にしました',
+    template_reset: '既定値に戻しました',
+    template_updated: '✅ {key}（{label}）: {result}',
+
+    // 配信状況
+    dead_letter: '#{id} {at} {kind}{target} → {count}人\n  「{preview}」\n  {error}',
+    quota_unlimited: '📮 今月の送信数: {used}通（上限なし）',
+    quota: '📮 今月の送信数: {used} / {limit}通（{percent}%）',
+    quota_warning: '⚠️ 今月のメッセージ送信数が上限の{percent}%に達しました（{used} / {limit}通）\n上限に達すると起床確認や通知が届かなくなります。',
+    quota_failed: '📮 送信数を取得できませんでした: {error}',
+    dead_letters_empty: '✅ 未解決の配信失敗はありません',
+    dead_letters_title: '❌ 未解決の配信失敗（新しい順、最大10件）',
+    dead_letters_resend: '再送: 「再送 番号」または「再送 全部」',
+    dead_letter_not_found: '❌ 未解決の配信失敗 #{id} が見つかりません。「配信状況」で確認してください。',
+    resent: '✅ #{id} 再送しました',
+
+    // 起床確認
+    button_awake: '起きた',
+    button_snooze: 'スヌーズ{minutes}分',
+    escalation_catch_up: '{text}（サーバー再起動のため遅れて通知しています）',
+    detail_awake: '起きた',
+    detail_challenge: 'チャレンジ正解',
+    detail_early: '早起き・{time}の起床確認前',
+    early_already: '今日はもう起床報告済みだよ！',
+    not_in_session: '今は起床確認中ではありません。',
+    early_too_soon: '⏰ 早起きの報告は起床確認の{hours}時間前（{time}）から受け付けるよ！',
+    early_accepted: '🌅 早起きえらい！今日の{time}の起床確認はお休みにするね。',
+    snooze_remaining: '⏰ スヌーズできるのはあと{minutes}分までだよ！',
+    snooze_exhausted: '⏰ もうスヌーズはできないよ！起きてね！',
+    snooze_accepted: '😴 {minutes}分後にまた起こすね！',
+    challenge_sent: '本当に起きてる？この問題に答えてね！\n{question}',
+    challenge_repeat: '問題に答えてね！\n{question}',
+    challenge_wrong: '❌ ちがうよ！あと{attempts}回\n{question}',
+    challenge_failed: '❌ 残念！目が覚めたらもう一度「起きた」と返信してね',
+    reply_unrecognized: '起きたら「起きた」、もう少し寝るなら「あと10分」のように返信してね！',
+
+    // グループ
+    chats_empty: '👥 参加中のグループはありません',
+    chat_no_targets: '通知なし',
+    chats_title: '👥 参加中のグループ',
+    chat_only: '❌ {command}は通知を受け取りたいグループ・トークルームの中で送ってください。',
+    chat_registered: '✅ この{chat}に起床・未返信の通知を送ります。({keys})',
+    chat_unregistered: '✅ この{chat}への通知を止めました。({keys})',
+    join_greeting: '👋 招待ありがとう！\n管理者がここで「グループ登録」と送ると、起床・未返信の通知がこの{chat}にも届くようになります。\n（英語で使うには「language en」と送ってください）',
+
+    // 予定の申請
+    target_request_help: '「休み 明日」「遅らせる 明日 9:30」のように送ると、予定の変更を管理者に申請できます。',
+    request_usage: '使い方: 休み 日付 / 遅らせる 日付 HH:MM\n{help}',
+    request_time_invalid: '❌ 時刻の形式が正しくありません（例: 遅らせる 明日 9:30）',
+    request_later_invalid: '❌ {dates} は起床確認がないか、{time}以降の開始になっています。',
+    request_off_unneeded: 'ℹ️ {dates} はもともと起床確認がないよ！',
+    request_sent: '📨 管理者に確認するね！承認されたら知らせるよ。\n{request}',
+    request_admin_notice: '📨 {name} ({key}) から予定の申請があります。\n#{id} {request}',
+    button_approve: '承認',
+    button_reject: '却下',
+    approve_request_text: '申請承認 {id}',
+    reject_request_text: '申請却下 {id}',
+    request_not_found: '❌ 承認待ちの申請 #{id} はありません。「申請一覧」で確認してください。',
+    request_target_missing: '❌ 申請 #{id} のターゲットは登録されていません。',
+    request_expired: '⌛ 申請 #{id} の日付はすべて過ぎているため反映しませんでした。',
+    request_approved: '✅ 申請 #{id} を承認しました。({key})\n{request}',
+    request_rejected: '🗑️ 申請 #{id} を却下しました。({key})',
+    request_approved_notice: '✅ 申請が承認されたよ！\n{request}',
+    request_rejected_notice: '🙏 申請は承認されなかったよ。\n{request}',
+    requests_line: '#{id} {key}: {request}（{at}）',
+    requests_title: '📨 承認待ちの申請\n{lines}\n\n「申請承認 番号」/「申請却下 番号」',
+    requests_empty: '📨 承認待ちの申請はありません',
+    request_id_usage: '❌ 使い方: {command} 番号（番号は「申請一覧」で確認）',
+
+    // カレンダー
+    calendar_done: '済',
+    calendar_off: '休',
+    calendar_day_text: '{date} の設定',
+    calendar_active: '起床確認中 {time}〜',
+    calendar_idle: '待機中',
+    calendar_legend: '赤: 除外 / 黄: 変更 / 桃: 祝日 / 青: 曜日ルール',
+    calendar_hint: '日付をタップすると除外・時刻変更ができます',
+    button_include: '除外を解除',
+    button_exclude: '除外する',
+    button_change_time: '時刻を変更',
+    button_clear_change: '変更を取消',
+    no_wakeup: '起床確認なし',
+    calendar_alt: '📅 スケジュール設定（{keys}）',
+    calendar_more: '他のターゲット（{keys}）は「一覧 キー」で表示できます。',
+    postback_invalid: '❌ 操作の内容が正しくありません。もう一度「一覧」から操作してください。',
+    postback_no_time: '❌ 時刻が選択されていません。',
+    postback_changed: '✅ 変更しました。',
+
+    // 言語
+    language_current: '🌐 表示言語: {language}\n変更するには「言語 ja」のように送ってください。\n選べる言語: {options}',
+    language_invalid: '❌ 対応していない言語です。選べる言語: {options}',
+    language_changed: '🌐 表示言語を{language}にしました。',
+
+    // スケジュール
+    excluded_added: '除外日に追加しました',
+    excluded_removed: '除外日から削除しました',
+    change_usage: '❌ 時刻の形式が正しくありません。例: 変更 明日 9:30 / 変更 毎週土曜 10',
+    time_changed: '起動時刻を {time} に変更しました',
+    weekly_default: '{time} (通常)',
+    weekly_title: '🗓 曜日ルール',
+    weekly_set_usage: '❌ 形式が正しくありません。例: 曜日設定 平日 7:30 / 曜日設定 土日 10:15 / 曜日設定 月,水 8',
+    weekly_set: '✅ {days} の起動時刻を {time} に設定しました。({keys})',
+    weekday_separator: '・',
+    weekly_remove_usage: '❌ 形式が正しくありません。例: 曜日削除 土日',
+    weekly_removed: '✅ {days} の曜日ルールを削除しました。({keys})',
+
+    // ヘルプ
+    help: '🤖 コマンド一覧\n' +
+      '\n' +
+      '一覧 [対象] - カレンダーを表示（日付をタップして除外・時刻変更）\n' +
+      '除外 日付 [対象] - 指定日を除外\n' +
+      '除外削除 日付 [対象] - 除外日を削除\n' +
+      '変更 日付 HH:MM [対象] - 起動時刻を変更\n' +
+      '曜日一覧 [対象] - 曜日ごとの起動時刻を表示\n' +
+      '曜日設定 曜日 HH:MM [対象] - 曜日ごとの起動時刻を設定（平日/土日/毎日/月,水 など）\n' +
+      '曜日削除 曜日 [対象] - 曜日ルールを削除\n' +
+      '段階一覧 [対象] - エスカレーション設定を表示\n' +
+      'リマインド間隔 分 [対象] - リマインダー間隔を変更\n' +
+      'スヌーズ上限 分 [対象] - 1回の起床確認でスヌーズできる合計時間を変更\n' +
+      'チャレンジ設定 モード [難易度] [回数] [対象] - 起床チャレンジ（オフ/計算/単語/ミックス）\n' +
+      '段階追加 [対象] 分 通知先 [メッセージ] - 通知段階を追加（通知先: 全員 またはユーザーID,ID、メッセージ省略時はテンプレート）\n' +
+      '段階削除 分 [対象] - 通知段階を削除\n' +
+      '段階リセット [対象] - エスカレーション設定を既定値に戻す\n' +
+      '統計 [期間] [対象] - 返信時間・連続記録・曜日別の集計（期間: 30日 / YYYY-MM-DD〜YYYY-MM-DD）\n' +
+      'エクスポート [対象] - スケジュールをJSONで出力\n' +
+      'インポート [対象] [JSON] - JSON（省略時は schedule.json）から取り込み\n' +
+      '招待 管理者|通知 [対象]|ターゲット キー - 招待コードを発行（友だち追加して送ってもらう）\n' +
+      'ユーザー一覧 - 登録ユーザーと承認待ちの申請を表示\n' +
+      '承認 番号 / 却下 番号 - 参加申請を承認・却下\n' +
+      'ユーザー削除 番号 - ユーザーの役割を削除\n' +
+      '履歴 [対象] - スケジュールの変更履歴を表示\n' +
+      '取り消し - 自分の直前のスケジュール変更を元に戻す\n' +
+      '申請一覧 - ターゲットからの休み・開始時刻の申請を表示\n' +
+      '申請承認 番号 / 申請却下 番号 - 申請を承認・却下（承認でスケジュールに反映）\n' +
+      'グループ登録 [対象] - このグループに通知を送る（グループ内で送信）\n' +
+      'グループ解除 [対象] - このグループへの通知を止める（グループ内で送信）\n' +
+      'グループ一覧 - 参加中のグループと通知先を表示\n' +
+      'テンプレート一覧 - メッセージの文面と変数を表示\n' +
+      'テンプレート追加 キー 文面 - 文面を追加（複数あるときはランダムまたは順番に使う）\n' +
+      'テンプレート削除 キー 番号 - 文面を削除\n' +
+      'テンプレート順番 キー ランダム|順番 - 文面の選び方を変更\n' +
+      'テンプレートリセット キー - 既定の文面に戻す\n' +
+      '配信状況 - 今月の送信数と届かなかったメッセージを表示\n' +
+      '再送 番号|全部 - 届かなかったメッセージを再送\n' +
+      '言語 [ja|en] - 表示言語を表示・変更（グループ内ではグループの言語）\n' +
+      'ヘルプ - このメッセージを表示\n' +
+      '\n' +
+      '日付: 2024-08-10 / 8/10 / 明日 / 来週月曜 / 2024-08-10〜2024-08-16 / 毎週土曜 など\n' +
+      '対象: {targets}（省略時は全員）\n' +
+      '英語のコマンド名も使えます（「language en」で英語のヘルプを表示）',
+    command_error: '❌ エラーが発生しました。しばらく後でお試しください。'
+  },
+  en: {
+    // 日付
+    date_help: 'Formats: YYYY-MM-DD / M/D / today / tomorrow / in N days / mon / this fri / next mon / start~end / every sat',
+    date_unrecognized: '❌ Unrecognized date: {expr}\n{help} (ranges up to {max} days)',
+    none_given: '(none)',
+    target_not_found: '❌ Target not found. Registered: {keys}',
+    dates_applied: '✅ {description} ({count} day(s))',
+    recurring_note: '* Applied to the next {weeks} weeks. Use "weekly-set" for a permanent rule.',
+
+    // ユーザーと招待
+    everyone: 'all',
+    invite_prompt: 'This account is invite-only. Please send the {length}-character invite code you received from an admin.',
+    approve_member_text: 'approve {id}',
+    reject_member_text: 'reject {id}',
+    welcome_admin: 'Send "help" to see the list of commands.',
+    welcome_notifier: 'You will now be notified when someone wakes up or does not reply.',
+    welcome_target: 'When the morning wake-up check arrives, reply "awake"!\n{help}',
+    invite_invalid: '❌ The invite code is invalid or has expired. Please check with an admin.',
+    member_pending: '⏳ Waiting for an admin to approve.',
+    member_exists: 'ℹ️ You are already registered.',
+    invite_target_taken: '❌ This target is already registered. Please check with an admin.',
+    invite_accepted: '✅ Invite code accepted. Please wait for an admin to approve.',
+    member_admin_notice: '🙋 {name} wants to join.\n#{id} {role}',
+    member_not_found: '❌ No pending request #{id}. Check with "users".',
+    member_target_taken: '❌ Target {key} or this user is already registered as a target.',
+    member_approved: '✅ Registered {name} as {role}. (#{id})',
+    member_rejected: '🗑️ Rejected the request from {name}. (#{id})',
+    member_approved_notice: '🎉 You are now registered as {role}!\n{welcome}',
+    member_rejected_notice: 'Sorry, your request to join was not approved.',
+    members_empty: '👥 No registered users',
+    members_title: '👥 Registered users',
+    members_pending: '⏳ {count} pending ("approve ID" / "reject ID")',
+    member_pending_wait: '⏳ Waiting for an admin to approve. Please wait until you are approved.',
+    not_accepted: 'Sorry, this account does not accept individual messages. Please wait for the next message.',
+    invite_usage: '❌ Usage: invite admin / invite notifier [target] / invite target KEY',
+    invite_key_invalid: '❌ Specify the target key in letters and digits (e.g. invite target taro)',
+    invite_key_taken: '❌ The key {key} is already in use.',
+    invite_created: '🎟️ Invite code: {code}\n' +
+      '{role} · valid for {hours} hours · single use\n' +
+      'Ask them to add the bot as a friend and send this code. They are registered once you approve.',
+    member_id_usage: '❌ Usage: {command} ID (see "users" for IDs)',
+    member_last_admin: '❌ The last admin cannot be removed.',
+    member_removed: '🗑️ Removed {role} from {name}. (#{id})',
+    follow_greeting: '👋 Thanks for adding me!',
+
+    // エスカレーション設定
+    policy_stage: '{after} min → {recipients}: {message}{ending}',
+    policy_recipients_all: 'everyone ({count})',
+    policy_recipients: '{count} people',
+    policy_template: '(escalation template)',
+    policy_final: ' (ends)',
+    policy_no_challenge: 'none',
+    policy_challenge: '{mode} (difficulty {difficulty}, up to {attempts} tries)',
+    policy_summary: '👤 {key}\nReminders: every {interval} min\nSnooze limit: {snoozeLimit} min\nChallenge: {challenge}\n{stages}',
+    policy_title: '🚨 Escalation settings',
+    interval_usage: '❌ The interval must be 1-60 minutes. e.g. interval 5',
+    interval_changed: '✅ Reminder interval set to {minutes} min. Applies from the next wake-up check. ({keys})',
+    snooze_limit_usage: '❌ The limit must be 0 minutes or more (0 disables snoozing). e.g. snooze-limit 30',
+    snooze_limit_changed: '✅ Snooze limit set to {minutes} min. Applies from the next wake-up check. ({keys})',
+    challenge_usage: '❌ Invalid format. e.g. challenge math 2 3 (mode: off/math/word/mix, difficulty 1-3, tries 1-10)',
+    challenge_changed: '✅ Wake-up challenge set to {mode}. ({keys})',
+    stage_add_usage: '❌ Invalid format. e.g. stage-add 30 all ⚠️ {name} is still not up (1-{max} min)',
+    stage_added: '✅ Set the stage at {minutes} min. Applies from the next wake-up check. ({keys})',
+    stage_not_found: '❌ {key} has no stage at {minutes} min.',
+    stage_last: '❌ The last stage cannot be removed. Use stage-reset to restore the defaults.',
+    stage_removed: '✅ Removed the stage at {minutes} min. ({keys})',
+    policy_reset: '✅ Escalation settings restored to the defaults. ({keys})',
+
+    // 起床チャレンジ
+    challenge_word: '⌨️ Type "{answer}"',
+
+    // スケジュールの変更履歴
+    history_weekday: '{day}',
+    history_excluded: 'excluded',
+    history_included: 'exclusion removed',
+    history_checkin: 'early check-in',
+    history_none: 'none',
+    history_empty: '📜 No schedule changes yet',
+    history_title: '📜 Schedule changes (newest first)',
+    history_batch: '{at} {actor} "{source}"',
+    history_reverted: ' (undone)',
+    undo_nothing: 'ℹ️ Nothing to undo.',
+    undo_conflict: '❌ Could not undo "{source}" because some items were changed afterwards.',
+    undo_done: '↩️ Undid "{source}".',
+
+    // スケジュールのインポート
+    import_not_object: 'Schedule data must be a JSON object',
+    import_invalid: 'Invalid values: {errors}',
+    import_read_failed: '❌ Could not read the schedule data: {error}',
+    import_line: '👤 {key}: {excluded} excluded / {early} changed / {weekly} weekly',
+    import_done: '✅ Schedule imported.',
+
+    // 統計
+    stats_minutes: '{value} min',
+    stats_weekday: '{day}: {responded}/{sessions} avg {average}',
+    stats_summary: '👤 {key} ({from} to {to})\n' +
+      'Wake-up checks: {sessions} (replied {responded} / on time {onTime} / timed out {timedOut})\n' +
+      'Time to reply: average {average} / median {median}\n' +
+      'Reminders: {reminders} total / {remindersAverage} average\n' +
+      'On-time streak: {streak}',
+    stats_by_weekday: 'By weekday',
+    stats_usage: '❌ Invalid period. e.g. stats 30d / stats 2024-08-01~2024-08-31',
+    stats_title: '📊 Wake-up stats',
+
+    // メッセージテンプレート
+    templates_title: '📝 Message templates',
+    template_section: '■ {key} ({label}){mark}\n  {mode}\n{lines}',
+    template_default_mark: ' (default)',
+    template_variables: 'Variables: {variables}',
+    template_not_found: '❌ Template not found. Keys: {keys}',
+    template_add_usage: '❌ Specify the text. e.g. template-add wakeup Good morning {name}! ☀️',
+    template_added: 'added text #{index}',
+    template_index_invalid: '❌ Specify a number from 1 to {max}.',
+    template_removed: 'removed text #{index}',
+    template_emptied: 'no texts left, so it was reset to the default',
+    template_mode_usage: '❌ Specify "random" or "in order".',
+    template_mode_changed: 'now picked {mode}',
+    template_reset: 'reset to the default',
+    template_updated: '✅ {key} ({label}): {result}',
+
+    // 配信状況
+    dead_letter: '#{id} {at} {kind}{target} → {count} recipients\n  "{preview}"\n  {error}',
+    quota_unlimited: '📮 Sent this month: {used} (no limit)',
+    quota: '📮 Sent this month: {used} / {limit} ({percent}%)',
+    quota_warning: '⚠️ Messages sent this month have reached {percent}% of the limit ({used} / {limit})\n' +
+      'Once the limit is reached, wake-up checks and notifications will no longer be delivered.',
+    quota_failed: '📮 Could not get the number of sent messages: {error}',
+    dead_letters_empty: '✅ No undelivered messages',
+    dead_letters_title: '❌ Undelivered messages (newest first, up to 10)',
+    dead_letters_resend: 'Resend: "resend ID" or "resend all"',
+    dead_letter_not_found: '❌ Undelivered message #{id} not found. Check with "delivery".',
+    resent: '✅ #{id} resent',
+
+    // 起床確認
+    button_awake: 'Awake',
+    button_snooze: 'Snooze {minutes} min',
+    escalation_catch_up: '{text} (sent late because the server restarted)',
+    detail_awake: 'awake',
+    detail_challenge: 'passed the challenge',
+    detail_early: 'early, before the {time} check',
+    early_already: 'You\'ve already checked in today!',
+    not_in_session: 'There is no wake-up check right now.',
+    early_too_soon: '⏰ Early check-ins open {hours} hours before the wake-up check ({time})!',
+    early_accepted: '🌅 Up early, nice! Today\'s {time} wake-up check is cancelled.',
+    snooze_remaining: '⏰ You can only snooze {minutes} more minutes!',
+    snooze_exhausted: '⏰ No more snoozing! Time to get up!',
+    snooze_accepted: '😴 I\'ll wake you again in {minutes} min!',
+    challenge_sent: 'Are you really awake? Answer this!\n{question}',
+    challenge_repeat: 'Answer the question!\n{question}',
+    challenge_wrong: '❌ Wrong! {attempts} tries left\n{question}',
+    challenge_failed: '❌ Too bad! Reply "awake" again once you\'re really up',
+    reply_unrecognized: 'Reply "awake" when you\'re up, or something like "snooze 10" to sleep a bit longer!',
+
+    // グループ
+    chats_empty: '👥 Not in any groups',
+    chat_no_targets: 'no notifications',
+    chats_title: '👥 Groups',
+    chat_only: '❌ Send {command} inside the group or room that should receive notifications.',
+    chat_registered: '✅ This {chat} will now get wake-up and no-reply notifications. ({keys})',
+    chat_unregistered: '✅ Stopped notifications to this {chat}. ({keys})',
+    join_greeting: '👋 Thanks for the invite!\n' +
+      'When an admin sends "group-add" here, wake-up and no-reply notifications will be sent to this {chat} too.',
+
+    // 予定の申請
+    target_request_help: 'Send something like "off tomorrow" or "later tomorrow 9:30" to ask an admin to change your schedule.',
+    request_usage: 'Usage: off DATE / later DATE HH:MM\n{help}',
+    request_time_invalid: '❌ Invalid time (e.g. later tomorrow 9:30)',
+    request_later_invalid: '❌ {dates}: no wake-up check, or it already starts at {time} or later.',
+    request_off_unneeded: 'ℹ️ There is no wake-up check on {dates} anyway!',
+    request_sent: '📨 Asking an admin! I\'ll let you know once it\'s approved.\n{request}',
+    request_admin_notice: '📨 {name} ({key}) sent a schedule request.\n#{id} {request}',
+    button_approve: 'Approve',
+    button_reject: 'Reject',
+    approve_request_text: 'approve-request {id}',
+    reject_request_text: 'reject-request {id}',
+    request_not_found: '❌ No pending request #{id}. Check with "requests".',
+    request_target_missing: '❌ The target of request #{id} is not registered.',
+    request_expired: '⌛ All dates of request #{id} have passed, so nothing was changed.',
+    request_approved: '✅ Approved request #{id}. ({key})\n{request}',
+    request_rejected: '🗑️ Rejected request #{id}. ({key})',
+    request_approved_notice: '✅ Your request was approved!\n{request}',
+    request_rejected_notice: '🙏 Your request was not approved.\n{request}',
+    requests_line: '#{id} {key}: {request} ({at})',
+    requests_title: '📨 Pending requests\n{lines}\n\n"approve-request ID" / "reject-request ID"',
+    requests_empty: '📨 No pending requests',
+    request_id_usage: '❌ Usage: {command} ID (see "requests" for IDs)',
+
+    // カレンダー
+    calendar_done: '✓',
+    calendar_off: 'off',
+    calendar_day_text: 'Settings for {date}',
+    calendar_active: 'Wake-up check since {time}',
+    calendar_idle: 'Idle',
+    calendar_legend: 'Red: excluded / Yellow: changed / Pink: holiday / Blue: weekly rule',
+    calendar_hint: 'Tap a date to exclude it or change the time',
+    button_include: 'Include',
+    button_exclude: 'Exclude',
+    button_change_time: 'Change time',
+    button_clear_change: 'Clear change',
+    no_wakeup: 'no wake-up check',
+    calendar_alt: '📅 Schedule ({keys})',
+    calendar_more: 'Other targets ({keys}) can be shown with "list KEY".',
+    postback_invalid: '❌ Invalid action. Please try again from "list".',
+    postback_no_time: '❌ No time was selected.',
+    postback_changed: '✅ Updated.',
+
+    // 言語
+    language_current: '🌐 Language: {language}\nTo change it, send something like "language en".\nAvailable: {options}',
+    language_invalid: '❌ Unsupported language. Available: {options}',
+    language_changed: '🌐 Language set to {language}.',
+
+    // スケジュール
+    excluded_added: 'Added to excluded dates',
+    excluded_removed: 'Removed from excluded dates',
+    change_usage: '❌ Invalid time. e.g. change tomorrow 9:30 / change every sat 10',
+    time_changed: 'Start time changed to {time}',
+    weekly_default: '{time} (default)',
+    weekly_title: '🗓 Weekly rules',
+    weekly_set_usage: '❌ Invalid format. e.g. weekly-set weekdays 7:30 / weekly-set weekends 10:15 / weekly-set mon,wed 8',
+    weekly_set: '✅ Start time for {days} set to {time}. ({keys})',
+    weekday_separator: ', ',
+    weekly_remove_usage: '❌ Invalid format. e.g. weekly-remove weekends',
+    weekly_removed: '✅ Removed the weekly rule for {days}. ({keys})',
+
+    // ヘルプ
+    help: '🤖 Commands\n' +
+      '\n' +
+      'list [target] - Show the calendar (tap a date to exclude it or change the time)\n' +
+      'exclude DATE [target] - Exclude a date\n' +
+      'include DATE [target] - Remove an excluded date\n' +
+      'change DATE HH:MM [target] - Change the start time\n' +
+      'weekly [target] - Show start times per weekday\n' +
+      'weekly-set DAYS HH:MM [target] - Set the start time per weekday (weekdays/weekends/daily/mon,wed etc.)\n' +
+      'weekly-remove DAYS [target] - Remove a weekly rule\n' +
+      'stages [target] - Show escalation settings\n' +
+      'interval MINUTES [target] - Change the reminder interval\n' +
+      'snooze-limit MINUTES [target] - Change the total snooze time per wake-up check\n' +
+      'challenge MODE [difficulty] [tries] [target] - Wake-up challenge (off/math/word/mix)\n' +
+      'stage-add [target] MINUTES RECIPIENTS [message] - Add a notification stage (recipients: all or userId,userId; template when the message is omitted)\n' +
+      'stage-remove MINUTES [target] - Remove a notification stage\n' +
+      'stage-reset [target] - Restore the default escalation settings\n' +
+      'stats [period] [target] - Reply times, streaks and weekday stats (period: 30d / YYYY-MM-DD~YYYY-MM-DD)\n' +
+      'export [target] - Export the schedule as JSON\n' +
+      'import [target] [JSON] - Import from JSON (schedule.json when omitted)\n' +
+      'invite admin|notifier [target]|target KEY - Issue an invite code (they add the bot and send it)\n' +
+      'users - Show registered users and pending requests\n' +
+      'approve ID / reject ID - Approve or reject a join request\n' +
+      'remove-user ID - Remove a user\'s role\n' +
+      'history [target] - Show schedule changes\n' +
+      'undo - Undo your last schedule change\n' +
+      'requests - Show day-off and later-start requests from targets\n' +
+      'approve-request ID / reject-request ID - Approve or reject a request (approving updates the schedule)\n' +
+      'group-add [target] - Send notifications to this group (send inside the group)\n' +
+      'group-remove [target] - Stop notifications to this group (send inside the group)\n' +
+      'groups - Show groups and their notifications\n' +
+      'templates - Show message texts and variables\n' +
+      'template-add KEY TEXT - Add a text (several texts are used at random or in order)\n' +
+      'template-remove KEY ID - Remove a text\n' +
+      'template-mode KEY random|sequence - Change how texts are picked\n' +
+      'template-reset KEY - Restore the default texts\n' +
+      'delivery - Show messages sent this month and undelivered messages\n' +
+      'resend ID|all - Resend undelivered messages\n' +
+      'language [ja|en] - Show or change the language (the group\'s language inside a group)\n' +
+      'help - Show this message\n' +
+      '\n' +
+      'Dates: 2024-08-10 / 8/10 / tomorrow / next mon / 2024-08-10~2024-08-16 / every sat etc.\n' +
+      'Target: {targets} (all when omitted)\n' +
+      'Japanese command names work too',
+    command_error: '❌ Something went wrong. Please try again later.'
+  }
+};
+
+function t(lang, key, vars = {}) {
+  return fillTemplate(MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key], vars);
+}
+
+// プロフィールの言語（ja / en / zh-TW など）が対応していない言語なら英語、取得できなければ既定の言語
+function languageFromProfile(profile) {
+  if (!profile?.language) {
+    return DEFAULT_LANGUAGE;
+  }
+  const base = profile.language.split('-')[0];
+  return LANGUAGE_LABELS[base] ? base : 'en';
+}
+
+// id: ユーザーID またはグループ・トークルームのID（グループは設定がなければ既定の言語）
+async function getLanguage(id) {
+  try {
+    const stored = await storage.loadLanguage(id);
+    if (stored) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('言語設定の取得エラー:', error);
+  }
+  return isChatId(id) ? DEFAULT_LANGUAGE : languageFromProfile(await getProfile(id));
+}
+
+// 返信に使う言語（グループ・トークルームではその場の設定）
+function eventLanguage(event) {
+  return getLanguage(chatIdOf(event.source) || event.source.userId);
+}
+
+// メッセージテンプレート（保存されていないキーはこの既定値を使う）
+// mode: random はランダム、sequence は順番（リマインダーは何通目か、エスカレーションは何段階目かで選び、最後の文面を繰り返す）
+const MESSAGE_TEMPLATES = {
+  wakeup: {
+    label: '起床確認の1通目',
+    mode: 'random',
+    variants: ['おはよう〜！起きてる？？👀']
+  },
+  reminder: {
+    label: 'リマインダー・2通目以降',
+    mode: 'sequence',
+    variants: [
+      'まだ寝てる？もう{minutes}分たったよ⏰',
+      'おーい！{name}、起きて〜！📣',
+      '{count}通目だよ！そろそろ本当に起きて😱'
+    ]
+  },
+  awake_reply: {
+    label: '起きた時の返信',
+    mode: 'random',
+    variants: ['おはよう！☀️ 今日も一日がんばろう！']
+  },
+  awake_notify: {
+    label: '起床の通知',
+    mode: 'random',
+    variants: ['🟢 {name} が起きました！（{detail}）']
+  },
+  snooze_notify: {
+    label: 'スヌーズの通知',
+    mode: 'random',
+    variants: ['😴 {name} がスヌーズしました（{snooze}分）']
+  },
+  challenge_failed_notify: {
+    label: 'チャレンジ失敗の通知',
+    mode: 'random',
+    variants: ['❌ {name} が起床チャレンジに失敗しました（まだ寝ぼけているかも）']
+  },
+  escalation: {
+    label: 'エスカレーション・メッセージ未指定の段階',
+    mode: 'sequence',
+    variants: ['⚠️ {name} は{minutes}分返事がありませんでした…']
+  }
+};
+// 既定の文面の翻訳（保存された文面は管理者が書いたものをどの言語にもそのまま使う）
+const TEMPLATE_TRANSLATIONS = {
+  en: {
+    wakeup: { label: 'First wake-up message', variants: ['Good morning~! Are you up?? 👀'] },
+    reminder: {
+      label: 'Reminders (2nd message onwards)',
+      variants: [
+        'Still asleep? It\'s been {minutes} min ⏰',
+        'Hey! {name}, wake up~! 📣',
+        'That\'s message #{count}! Time to really get up 😱'
+      ]
+    },
+    awake_reply: { label: 'Reply when awake', variants: ['Good morning! ☀️ Have a great day!'] },
+    awake_notify: { label: 'Awake notification', variants: ['🟢 {name} is up! ({detail})'] },
+    snooze_notify: { label: 'Snooze notification', variants: ['😴 {name} snoozed ({snooze} min)'] },
+    challenge_failed_notify: {
+      label: 'Challenge failed notification',
+      variants: ['❌ {name} failed the wake-up challenge (might still be half asleep)']
+    },
+    escalation: { label: 'Escalation (stages without a message)', variants: ['⚠️ {name} has not replied for {minutes} min…'] }
+  }
+};
+const TEMPLATE_VARIABLES = {
+  ja: {
+    name: '表示名',
+    count: '何通目か',
+    minutes: '開始からの経過分',
+    start: '起動時刻',
+    detail: '返信内容',
+    snooze: 'スヌーズした分'
+  },
+  en: {
+    name: 'display name',
+    count: 'message number',
+    minutes: 'minutes since start',
+    start: 'start time',
+    detail: 'reply',
+    snooze: 'snoozed minutes'
+  }
+};
+const TEMPLATE_MODE_LABELS = {
+  ja: { random: 'ランダム', sequence: '順番' },
+  en: { random: 'random', sequence: 'in order' }
+};
+
+// 順番指定で step がない場合の送信回数（再起動でリセット）
+const templateCounters = new Map();
+
+function fillTemplate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+}
+
+function defaultTemplate(key, lang = DEFAULT_LANGUAGE) {
+  return { ...MESSAGE_TEMPLATES[key], ...TEMPLATE_TRANSLATIONS[lang]?.[key] };
+}
+
+// variants が null の保存内容は選び方だけの変更（文面は既定のものを受け取る人の言語で使う）
+function mergeTemplate(stored, key, lang = DEFAULT_LANGUAGE) {
+  const defaults = defaultTemplate(key, lang);
+  return stored ? { ...defaults, mode: stored.mode, variants: stored.variants || defaults.variants } : defaults;
+}
+
+async function loadTemplate(key, lang = DEFAULT_LANGUAGE) {
+  return mergeTemplate((await storage.loadTemplates())[key], key, lang);
+}
+
+// step: 順番指定のときに使う1始まりの番号
+async function renderTemplate(key, vars, step = null, lang = DEFAULT_LANGUAGE) {
+  const { mode, variants } = await loadTemplate(key, lang);
+  let index;
+  if (mode === 'sequence') {
+    const position = step ?? (templateCounters.get(key) || 0) + 1;
+    templateCounters.set(key, position);
+    index = Math.min(position, variants.length) - 1;
+  } else {
+    index = randomInt(0, variants.length - 1);
+  }
+  return fillTemplate(variants[index], vars);
+}
+
+// 起床確認中のセッションから共通の変数を作る
+async function sessionTemplateVars(target, session, extra = {}) {
+  return {
+    name: await getDisplayName(target.userId),
+    count: session.remindersSent,
+    minutes: session.startedAt ? Math.floor((clock.now() - new Date(session.startedAt).getTime()) / 60000) : 0,
+    start: session.startTime,
+    ...extra
+  };
+}
+
+function formatTemplates(stored, lang = DEFAULT_LANGUAGE) {
+  const sections = Object.keys(MESSAGE_TEMPLATES).map(key => {
+    const { label, mode, variants } = mergeTemplate(stored[key], key, lang);
+    const lines = variants.map((variant, index) => `  ${index + 1}. ${variant}`);
+    return t(lang, 'template_section', {
+      key,
+      label,
+      mark: stored[key]?.variants ? '' : t(lang, 'template_default_mark'),
+      mode: TEMPLATE_MODE_LABELS[lang][mode],
+      lines: lines.join('\n')
+    });
+  });
+  const variables = Object.entries(TEMPLATE_VARIABLES[lang]).map(([name, label]) => `{${name}} ${label}`).join(' / ');
+  return `${t(lang, 'templates_title')}\n\n${sections.join('\n\n')}\n\n${t(lang, 'template_variables', { variables })}`;
+}
+
+// LINE へのプッシュ送信
+// 通信エラー・5xx・レート制限は間隔を空けてタイマーで再送し、それでも届かなかったものは配信失敗として保存する（管理者が確認・再送）
+// 通知先が複数の場合は multicast でまとめて送る
+const PUSH_RETRY_DELAYS_MS = [2000, 10000, 30000];
+const MULTICAST_MAX_RECIPIENTS = 500;
+
+// 月間の送信上限（LINE の集計は日本時間の月単位）
+const QUOTA_TIMEZONE = 'Asia/Tokyo';
+const QUOTA_WARNING_PERCENTS = [80, 95];
+
+function describePushError(error) {
+  const detail = error.originalError?.response?.data?.message;
+  return detail ? `${error.message} (${detail})` : error.message;
+}
+
+// 再送で届く見込みがあるか（月間上限による 429 は再送しても無駄なので除く）
+function isRetryablePushError(error) {
+  if (error instanceof line.RequestError) {
+    return true;
+  }
+  if (!(error instanceof line.HTTPError)) {
+    return false;
+  }
+  if (error.statusCode === 429) {
+    return !/monthly limit/i.test(describePushError(error));
+  }
+  return error.statusCode >= 500;
+}
+
+// メトリクスのラベル用のエラーコード（HTTP ステータス、届かなかった場合は network）
+function pushErrorCode(error) {
+  if (error instanceof line.HTTPError) {
+    return String(error.statusCode);
+  }
+  return error instanceof line.RequestError ? 'network' : 'unknown';
+}
+
+// 再送キーを付けて1回送り、同じ送信が受理済み（409）の場合も成功として扱う
+async function pushOnce(recipients, messages, retryKey) {
+  try {
+    client.setRequestOptionOnce?.({ retryKey });
+    if (recipients.length === 1) {
+      await client.pushMessage(recipients[0], messages);
+    } else {
+      await client.multicast(recipients, messages);
+    }
+    return { delivered: true };
+  } catch (error) {
+    if (error instanceof line.HTTPError && error.statusCode === 409) {
+      return { delivered: true };
+    }
+    return { delivered: false, error };
+  }
+}
+
+// 再送待ちの送信（呼び出し元やWebhookのキューを待たせないよう、再送は時計のタイマーで行う）
+const pendingRetries = new Map();
+let retrySequence = 0;
+
+// delivery: { recipients, messages, kind, userId, retryKey, attempts, lastError }
+// 届いたら 'delivered'、再送を予約したら 'retrying'、届かないことが確定したら配信失敗として保存して 'failed'
+async function attemptDelivery(delivery) {
+  delivery.attempts += 1;
+  const result = await pushOnce(delivery.recipients, delivery.messages, delivery.retryKey);
+  if (result.delivered) {
+    if (delivery.attempts > 1) {
+      console.log(`✅ 再送で送信完了 [${delivery.kind}] (${delivery.attempts}回目)`);
+    }
+    return 'delivered';
+  }
+  
+  delivery.lastError = result.error;
+  const delay = PUSH_RETRY_DELAYS_MS[delivery.attempts - 1];
+  if (delay === undefined || !isRetryablePushError(result.error)) {
+    await saveDeadLetter(delivery);
+    return 'failed';
+  }
+  
+  console.warn(`⚠️ 送信エラー、${delay / 1000}秒後に再送 (${delivery.attempts}/${PUSH_RETRY_DELAYS_MS.length}):`, describePushError(result.error));
+  const id = ++retrySequence;
+  pendingRetries.set(id, {
+    delivery,
+    timerId: clock.setTimeout(() => {
+      pendingRetries.delete(id);
+      return attemptDelivery(delivery);
+    }, delay)
+  });
+  return 'retrying';
+}
+
+// note: エラー内容に添える補足（終了で再送を中止した場合など）
+async function saveDeadLetter(delivery, note = '') {
+  const { kind, userId, recipients, messages, attempts, lastError } = delivery;
+  const error = `${describePushError(lastError)}${note}`;
+  incrementCounter('push_failures_total', { code: pushErrorCode(lastError) });
+  console.error(`❌ 送信失敗 [${kind}] → ${recipients.length}人:`, error);
+  try {
+    const id = await storage.addDeadLetter({
+      kind,
+      userId,
+      recipients,
+      messages,
+      error,
+      attempts,
+      createdAt: new Date(clock.now()).toISOString()
+    });
+    await logEvent('push_failed', userId, `#${id} ${kind}: ${error}`);
+  } catch (saveError) {
+    console.error('配信失敗の保存エラー:', saveError);
+    await logEvent('push_failed', userId, `${kind}: ${error}`);
+  }
+}
+
+// 終了時に再送待ちの送信を配信失敗として保存する（再起動後に管理者が再送できるように）
+async function cancelPendingRetries() {
+  const pending = [...pendingRetries.values()];
+  pendingRetries.clear();
+  for (const { delivery, timerId } of pending) {
+    clock.clearTimeout(timerId);
+    await saveDeadLetter(delivery, '（終了のため再送を中止）');
+  }
+}
+
+// to: ユーザーID または ID の配列、kind: 配信失敗一覧での種別、userId: 関係するターゲット
+// 1回目で届かなかった分は後で再送する。届かないことが確定したものがなければ true（再送待ちを含む）
+async function deliverMessages(to, messages, { kind, userId = null }) {
+  const recipients = [...new Set([].concat(to))];
+  const messageList = [].concat(messages);
+  let allDelivered = true;
+  
+  // multicast はユーザー宛てのみ、グループ・トークルームには1つずつ送る
+  const userIds = recipients.filter(id => !isChatId(id));
+  const chunks = recipients.filter(isChatId).map(chatId => [chatId]);
+  for (let i = 0; i < userIds.length; i += MULTICAST_MAX_RECIPIENTS) {
+    chunks.push(userIds.slice(i, i + MULTICAST_MAX_RECIPIENTS));
+  }
+  
+  for (const chunk of chunks) {
+    const status = await attemptDelivery({
+      recipients: chunk,
+      messages: messageList,
+      kind,
+      userId,
+      retryKey: crypto.randomUUID(),
+      attempts: 0,
+      lastError: null
+    });
+    allDelivered = status !== 'failed' && allDelivered;
+  }
+  return allDelivered;
+}
+
+// 受け取る人の言語ごとに文面を作って送る（render は言語を受け取ってメッセージを返す）
+async function deliverLocalized(to, render, options) {
+  const byLanguage = new Map();
+  for (const id of new Set([].concat(to))) {
+    const lang = await getLanguage(id);
+    byLanguage.set(lang, [...(byLanguage.get(lang) || []), id]);
+  }
+  
+  let allDelivered = true;
+  for (const [lang, recipients] of byLanguage) {
+    allDelivered = await deliverMessages(recipients, await render(lang), options) && allDelivered;
+  }
+  return allDelivered;
+}
+
+// 配信失敗の再送（届いたら解決済みにする、返信を待たせないよう1回だけ送る）
+async function resendDeadLetter(letter) {
+  const { delivered, error } = await pushOnce(letter.recipients, letter.messages, crypto.randomUUID());
+  if (delivered) {
+    await storage.markDeadLetterResent(letter.id);
+    await logEvent('push_resent', letter.userId, `#${letter.id} ${letter.kind}`);
+    return { delivered, attempts: 1 };
+  }
+  incrementCounter('push_failures_total', { code: pushErrorCode(error) });
+  await storage.markDeadLetterFailed(letter.id, describePushError(error), 1);
+  return { delivered, attempts: 1, error: describePushError(error) };
+}
+
+// 今月の送信数と上限（上限なしの場合 limit は null）
+async function getMessageQuota() {
+  const [limit, usage] = await Promise.all([
+    client.getTargetLimitForAdditionalMessages(),
+    client.getNumberOfMessagesSentThisMonth()
+  ]);
+  return { used: usage.totalUsage, limit: limit.type === 'limited' ? limit.value : null };
+}
+
+const DEAD_LETTER_KIND_LABELS = {
+  ja: {
+    wakeup: '起床確認',
+    escalation: 'エスカレーション',
+    notification: '通知',
+    quota_warning: '送信数警告',
+    member_request: '参加申請',
+    member_notice: '登録のお知らせ',
+    schedule_request: '予定の申請',
+    request_result: '申請の結果'
+  },
+  en: {
+    wakeup: 'wake-up check',
+    escalation: 'escalation',
+    notification: 'notification',
+    quota_warning: 'quota warning',
+    member_request: 'join request',
+    member_notice: 'registration notice',
+    schedule_request: 'schedule request',
+    request_result: 'request result'
+  }
+};
+
+function formatDeadLetter(letter, lang = DEFAULT_LANGUAGE) {
+  const target = targetsByUserId.get(letter.userId);
+  const preview = letter.messages.map(message => message.text || message.altText || `[${message.type}]`).join(' / ');
+  return t(lang, 'dead_letter', {
+    id: letter.id,
+    at: dayjs(letter.createdAt).tz(defaultTimezone).format('M/D HH:mm'),
+    kind: DEAD_LETTER_KIND_LABELS[lang][letter.kind] || letter.kind,
+    target: target ? ` (${target.key})` : '',
+    count: letter.recipients.length,
+    preview: preview.length > 30 ? `${preview.slice(0, 30)}…` : preview,
+    error: letter.error
+  });
+}
+
+function formatQuota(quota, lang = DEFAULT_LANGUAGE) {
+  if (!quota.limit) {
+    return t(lang, 'quota_unlimited', { used: quota.used });
+  }
+  return t(lang, 'quota', { used: quota.used, limit: quota.limit, percent: Math.floor(quota.used / quota.limit * 100) });
+}
+
+// 送信数が上限に近づいたら管理者に知らせる（各段階につき月1回）
+async function checkMessageQuota() {
+  try {
+    const quota = await getMessageQuota();
+    if (!quota.limit) {
+      return;
+    }
+    
+    const percent = Math.floor(quota.used / quota.limit * 100);
+    const reached = QUOTA_WARNING_PERCENTS.filter(p => percent >= p).pop();
+    if (!reached) {
+      return;
+    }
+    
+    const monthStart = dayjs(clock.now()).tz(QUOTA_TIMEZONE).startOf('month').toDate();
+    const warned = await storage.loadLogs({ since: monthStart, eventTypes: ['quota_warning'] });
+    if (warned.some(log => parseInt(log.message) >= reached)) {
+      return;
+    }
+    
+    await logEvent('quota_warning', null, `${reached}%: ${quota.used}/${quota.limit}`);
+    await deliverLocalized(adminUserIds, lang => ({
+      type: 'text',
+      text: t(lang, 'quota_warning', { percent: reached, used: quota.used, limit: quota.limit })
+    }), { kind: 'quota_warning' });
+  } catch (error) {
+    console.error('送信数の確認エラー:', error);
+  }
+}
+
+// 起床メッセージ送信
+// ターゲット向けのクイックリプライ（ボタンの文言がそのまま返信として届く）
+function wakeupQuickReply(lang = DEFAULT_LANGUAGE) {
+  const labels = [t(lang, 'button_awake'), t(lang, 'button_snooze', { minutes: 5 }), t(lang, 'button_snooze', { minutes: 15 })];
+  return {
+    items: labels.map(label => ({
+      type: 'action',
+      action: { type: 'message', label, text: label }
+    }))
+  };
+}
+
+// 1通目は wakeup、2通目以降は reminder テンプレート（何通目かで文面を選ぶ）
+async function sendWakeupMessage(target, session) {
+  const lang = await getLanguage(target.userId);
+  const vars = await sessionTemplateVars(target, session, { count: session.remindersSent + 1 });
+  const text = session.remindersSent === 0
+    ? await renderTemplate('wakeup', vars, null, lang)
+    : await renderTemplate('reminder', vars, session.remindersSent, lang);
+  const delivered = await deliverMessages(target.userId, {
+    type: 'text',
+    text,
+    quickReply: wakeupQuickReply(lang)
+  }, { kind: 'wakeup', userId: target.userId });
+  if (delivered) {
+    incrementCounter('reminders_sent_total', { target: target.key });
+  }
+  await logEvent(delivered ? 'wakeup_sent' : 'wakeup_error', target.userId);
+}
+
+// リマインダー送信（送信状況をセッションに記録）
+async function sendReminder(target, session) {
+  await sendWakeupMessage(target, session);
+  session.remindersSent += 1;
+  session.lastReminderAt = new Date(clock.now()).toISOString();
+  await saveSessionState(target.userId, session);
+}
+
+// 段階の通知予定時刻（スヌーズした分だけ後ろにずれる）
+function stageDueAt(session, stage) {
+  return new Date(session.startedAt).getTime() + (stage.after + session.snoozedMinutes) * 60 * 1000;
+}
+
+// リマインダーとエスカレーションのタイマーを設定（開始時刻基準、通知済みの段階は除く）
+function armSession(target, session) {
+  const { policy } = session;
+  session.active = true;
+  
+  const startReminders = () => {
+    session.intervalId = clock.setInterval(async () => {
+      if (!session.hasResponded) {
+        await sendReminder(target, session);
+      }
+    }, policy.reminderInterval * 60 * 1000);
+  };
+  
+  // スヌーズ中は明けた時点で1通送ってから通常の間隔に戻る
+  const snoozeRemaining = session.snoozeUntil ? new Date(session.snoozeUntil).getTime() - clock.now() : 0;
+  if (snoozeRemaining > 0) {
+    session.timerIds.push(clock.setTimeout(async () => {
+      session.snoozeUntil = null;
+      if (!session.hasResponded) {
+        await sendReminder(target, session);
+        startReminders();
+      }
+    }, snoozeRemaining));
+  } else {
+    startReminders();
+  }
+  
+  policy.stages.slice(session.stagesNotified).forEach((stage, offset) => {
+    session.timerIds.push(clock.setTimeout(async () => {
+      await runEscalationStage(target, session, session.stagesNotified + offset);
+    }, Math.max(0, stageDueAt(session, stage) - clock.now())));
+  });
+}
+
+// エスカレーション段階の通知（最後の段階でセッション終了、catchUp: 再起動中に時刻が過ぎていた場合）
+async function runEscalationStage(target, session, index, catchUp = false) {
+  const { stages } = session.policy;
+  const stage = stages[index];
+  const isFinal = index === stages.length - 1;
+  
+  if (isFinal) {
+    stopSession(session);
+    await clearSessionState(target.userId);
+  }
+  if (session.hasResponded) {
+    return;
+  }
+  
+  try {
+    const vars = await sessionTemplateVars(target, session, { minutes: stage.after });
+    const recipients = stage.notify === 'all' ? await notifyRecipients(target) : stage.notify;
+    await deliverLocalized(recipients, async lang => {
+      const text = stage.message ? fillTemplate(stage.message, vars) : await renderTemplate('escalation', vars, index + 1, lang);
+      return { type: 'text', text: catchUp ? t(lang, 'escalation_catch_up', { text }) : text };
+    }, { kind: 'escalation', userId: target.userId });
+    
+    if (isFinal) {
+      incrementCounter('timeouts_total', { target: target.key });
+    }
+    const detail = `Stage ${index + 1}/${stages.length} (${stage.after}min)${catchUp ? ', catch-up after restart' : ''}`;
+    await logEvent(isFinal ? 'timeout_notification' : 'escalation_notification', target.userId, detail);
+  } catch (error) {
+    console.error('エスカレーション通知エラー:', error);
+  }
+  
+  if (!isFinal) {
+    session.stagesNotified = index + 1;
+    await saveSessionState(target.userId, session);
+  }
+}
+
+// 起床確認の手動終了
+async function cancelSession(target) {
+  const session = getSession(target.userId);
+  if (!session.active) {
+    return false;
+  }
+  stopSession(session);
+  session.challenge = null;
+  await clearSessionState(target.userId);
+  return true;
+}
+
+// 起床メッセージ開始
+async function startWakeupMessages(target, startTime) {
+  const session = getSession(target.userId);
+  stopSession(session);
+  const policy = await storage.loadEscalationPolicy(target.userId);
+  const now = clock.now();
+  Object.assign(session, {
+    hasResponded: false,
+    startTime,
+    startedAt: new Date(now).toISOString(),
+    deadline: new Date(now + policy.stages[policy.stages.length - 1].after * 60 * 1000).toISOString(),
+    remindersSent: 0,
+    stagesNotified: 0,
+    snoozedMinutes: 0,
+    snoozeUntil: null,
+    lastReminderAt: null,
+    policy
+  });
+  incrementCounter('wakeups_started_total', { target: target.key });
+  
+  // ポリシーの間隔でリマインダー、各段階の時刻に通知
+  armSession(target, session);
+  await sendReminder(target, session);
+}
+
+// 再起動前のセッションを再開（過ぎた段階は遅れて通知し、期限切れならそこで終了）
+async function resumeSessions() {
+  const states = await storage.loadSessionStates();
+  
+  for (const [userId, state] of Object.entries(states)) {
+    const target = targetsByUserId.get(userId);
+    if (!target || state.hasResponded) {
+      await clearSessionState(userId);
+      continue;
+    }
+    
+    const session = getSession(userId);
+    Object.assign(session, state, { policy: await storage.loadEscalationPolicy(userId) });
+    
+    // 再起動中に過ぎた段階を遅れて通知（最後の段階まで過ぎていればそこで終了）
+    const { stages } = session.policy;
+    session.stagesNotified = Math.min(session.stagesNotified, stages.length - 1);
+    while (stageDueAt(session, stages[session.stagesNotified]) <= clock.now()) {
+      const index = session.stagesNotified;
+      console.log(`⏰ 再起動中に過ぎたエスカレーション: ${target.key} (${index + 1}段階目)`);
+      await runEscalationStage(target, session, index, true);
+      if (index === stages.length - 1) {
+        break;
+      }
+    }
+    if (stageDueAt(session, stages[stages.length - 1]) <= clock.now()) {
+      continue;
+    }
+    
+    console.log(`🔁 セッション再開: ${target.key} (送信済み ${state.remindersSent}回)`);
+    await logEvent('session_resumed', userId, `Reminders sent: ${state.remindersSent}`);
+    armSession(target, session);
+    
+    // 前回のリマインダーから間隔が空いていればすぐに送る（スヌーズ中は除く）
+    const lastSent = new Date(state.lastReminderAt || state.startedAt).getTime();
+    const snoozing = state.snoozeUntil && new Date(state.snoozeUntil).getTime() > clock.now();
+    if (!snoozing && clock.now() - lastSent >= session.policy.reminderInterval * 60 * 1000) {
+      await sendReminder(target, session);
+    }
+  }
+}
+
+// 返信（replyTokenが有効な場合のみ）
+async function replyMessage(event, message) {
+  if (event.replyToken && event.replyToken !== '00000000000000000000000000000000') {
+    await client.replyMessage(event.replyToken, message);
+  }
+}
+
+async function replyText(event, text, extra = {}) {
+  await replyMessage(event, {
+    type: 'text',
+    text,
+    ...extra
+  });
+}
+
+// スケジュールカレンダー（Flex Message、今週の月曜から CALENDAR_WEEKS 週間）
+const CALENDAR_WEEKS = 3;
+// Flex Message のサイズ上限（50KB）に収まる件数
+const CALENDAR_MAX_BUBBLES = 4;
+const CALENDAR_COLORS = {
+  exclude: '#FFE3E3',
+  checkin: '#E3F9E5',
+  change: '#FFF3D1',
+  holiday: '#FDE4F2',
+  weekly: '#E8F1FF',
+  default: '#F5F5F5'
+};
+
+function buildCalendarBubble(target, schedule, session, lang = DEFAULT_LANGUAGE) {
+  const today = calendarDay(todayIn(target.timezone));
+  const start = today.subtract((today.day() + 6) % 7, 'day');
+  const weekRows = [];
+  
+  for (let week = 0; week < CALENDAR_WEEKS; week++) {
+    const cells = [];
+    for (let offset = 0; offset < 7; offset++) {
+      const day = start.add(week * 7 + offset, 'day');
+      const date = day.format('YYYY-MM-DD');
+      const isPast = day.isBefore(today);
+      const { time, source } = resolveStartTime(target, schedule, day);
+      const cell = {
+        type: 'box',
+        layout: 'vertical',
+        flex: 1,
+        paddingAll: '2px',
+        cornerRadius: '4px',
+        backgroundColor: isPast ? '#FFFFFF' : CALENDAR_COLORS[source],
+        borderWidth: date === today.format('YYYY-MM-DD') ? '2px' : 'none',
+        borderColor: '#06C755',
+        contents: [
+          { type: 'text', text: day.format('D'), size: 'xs', align: 'center', color: isPast ? '#CCCCCC' : '#333333' },
+          { type: 'text', text: time ? time.replace(/^0/, '') : t(lang, source === 'checkin' ? 'calendar_done' : 'calendar_off'), size: 'xxs', align: 'center', color: isPast ? '#CCCCCC' : '#666666' }
+        ]
+      };
+      if (!isPast) {
+        cell.action = {
+          type: 'postback',
+          label: date,
+          data: new URLSearchParams({ action: 'day', target: target.key, date }).toString(),
+          displayText: t(lang, 'calendar_day_text', { date: `${day.format('M/D')}(${WEEKDAY_NAMES[lang][day.day()]})` })
+        };
+      }
+      cells.push(cell);
+    }
+    weekRows.push({ type: 'box', layout: 'horizontal', spacing: '2px', contents: cells });
+  }
+  
+  const headerRow = {
+    type: 'box',
+    layout: 'horizontal',
+    spacing: '2px',
+    contents: [1, 2, 3, 4, 5, 6, 0].map(weekday => ({
+      type: 'text', text: WEEKDAY_NAMES[lang][weekday], size: 'xxs', align: 'center', flex: 1, color: '#888888'
+    }))
+  };
+  const status = session.active
+    ? t(lang, 'calendar_active', { time: dayjs(session.startedAt).tz(target.timezone).format('HH:mm') })
+    : t(lang, 'calendar_idle');
+  
+  return {
+    type: 'bubble',
+    size: 'mega',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [
+        { type: 'text', text: `📅 ${target.key}`, weight: 'bold', size: 'md' },
+        { type: 'text', text: `${status} / ${target.timezone}`, size: 'xxs', color: '#888888' }
+      ]
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: '2px',
+      contents: [
+        headerRow,
+        ...weekRows,
+        { type: 'text', text: t(lang, 'calendar_legend'), size: 'xxs', color: '#888888', margin: 'md', wrap: true },
+        { type: 'text', text: t(lang, 'calendar_hint'), size: 'xxs', color: '#888888', wrap: true }
+      ]
+    }
+  };
+}
+
+// カレンダーの日付タップ時の説明と操作ボタン
+function buildDayQuickReply(target, schedule, date, lang = DEFAULT_LANGUAGE) {
+  const params = action => new URLSearchParams({ action, target: target.key, date }).toString();
+  const postback = (action, key) => ({ type: 'action', action: { type: 'postback', label: t(lang, key), data: params(action), displayText: t(lang, key) } });
+  const { time } = resolveStartTime(target, schedule, calendarDay(date));
+  const items = [];
+  
+  if (schedule.exclude.includes(date)) {
+    items.push(postback('include', 'button_include'));
+  } else {
+    items.push(postback('exclude', 'button_exclude'));
+  }
+  items.push({
+    type: 'action',
+    action: { type: 'datetimepicker', label: t(lang, 'button_change_time'), data: params('time'), mode: 'time', initial: time || target.defaultTime }
+  });
+  if (schedule.change[date]) {
+    items.push(postback('clear', 'button_clear_change'));
+  }
+  return { items };
+}
+
+const DAY_SOURCE_LABELS = {
+  ja: { exclude: '除外', checkin: '早起き報告済み', change: '変更', holiday: '祝日', weekly: '曜日ルール', default: '通常' },
+  en: { exclude: 'excluded', checkin: 'checked in early', change: 'changed', holiday: 'holiday', weekly: 'weekly rule', default: 'default' }
+};
+
+function describeDay(target, schedule, date, lang = DEFAULT_LANGUAGE) {
+  const day = calendarDay(date);
+  const sourceLabels = DAY_SOURCE_LABELS[lang];
+  const { time, source, holiday } = resolveStartTime(target, schedule, day);
+  const label = holiday ? `${sourceLabels[source]}: ${holiday}` : sourceLabels[source];
+  return `📅 ${target.key} ${day.format('M/D')}(${WEEKDAY_NAMES[lang][day.day()]}) ${time || t(lang, 'no_wakeup')} [${label}]`;
+}
+
+// グループ・トークルーム（通知先として登録でき、管理者はグループ内からもコマンドを使える）
+const CHAT_TYPE_LABELS = {
+  ja: { group: 'グループ', room: 'トークルーム' },
+  en: { group: 'group', room: 'room' }
+};
+
+// グループIDは C、トークルームIDは R で始まる（ユーザーIDは U）
+function isChatId(id) {
+  return /^[CR]/.test(id);
+}
+
+function chatIdOf(source) {
+  return source.groupId || source.roomId || null;
+}
+
+// ターゲットの通知先（通知ユーザーと、そのターゲットを登録したグループ）
+async function notifyRecipients(target) {
+  const chats = await storage.loadChats();
+  const chatIds = chats.filter(chat => chat.targetUserIds.includes(target.userId)).map(chat => chat.chatId);
+  return [...target.notifyUserIds, ...chatIds];
+}
+
+function formatChats(chats, lang = DEFAULT_LANGUAGE) {
+  if (chats.length === 0) {
+    return t(lang, 'chats_empty');
+  }
+  const lines = chats.map(chat => {
+    const keys = targets.filter(target => chat.targetUserIds.includes(target.userId)).map(target => target.key);
+    return `${CHAT_TYPE_LABELS[lang][chat.type]} ${chat.chatId.slice(-8)}: ${keys.length > 0 ? keys.join(', ') : t(lang, 'chat_no_targets')}`;
+  });
+  return `${t(lang, 'chats_title')}\n${lines.join('\n')}`;
+}
+
+// 通知先への一斉送信（render は言語を受け取って本文を返す）
+async function notifyWatchers(target, render) {
+  const recipients = await notifyRecipients(target);
+  if (recipients.length === 0) {
+    return;
+  }
+  if (await deliverLocalized(recipients, async lang => ({ type: 'text', text: await render(lang) }), { kind: 'notification', userId: target.userId })) {
+    console.log(`📤 通知送信完了: ${recipients.length}件`);
+  }
+}
+
+// ターゲットからの返信の判定
+// 「起きた」「あと10分」は文全体で判定する（「起きたくない」や「会議まであと5分」などを起床・スヌーズとして扱わない）
+const AWAKE_PATTERN = /^(?:起きた|おきた|起きました|起きてる|おきてる|awake|i[’']?m up)(?:よ|ー)*[!.。〜~\s]*$/i;
+const SNOOZE_PATTERN = /^(?:(?:あと|スヌーズ)\s*(\d+)\s*分|snooze\s*(\d+)(?:\s*min(?:ute)?s?)?)(?:だけ)?[!.。〜~\s]*$/i;
+
+// 起床完了（セッション終了と通知）
+// detailKey: 通知の {detail} に入る文言のキー（受け取る人の言語で埋める）
+async function completeWakeup(event, target, session, name, detailKey) {
+  console.log(`🎯 起床報告: ${target.key}`);
+  incrementCounter('responses_total', { target: target.key, result: 'awake' });
+  session.hasResponded = true;
+  session.challenge = null;
+  stopSession(session);
+  await clearSessionState(target.userId);
+  // 通知の再送で返信が遅れないよう先に返信する
+  const lang = await getLanguage(target.userId);
+  const vars = await sessionTemplateVars(target, session, { name });
+  await replyText(event, await renderTemplate('awake_reply', { ...vars, detail: t(lang, detailKey) }, null, lang));
+  
+  try {
+    await notifyWatchers(target, lang => renderTemplate('awake_notify', { ...vars, detail: t(lang, detailKey) }, null, lang));
+    await logEvent('user_responded', target.userId, `${t(DEFAULT_LANGUAGE, detailKey)}, reminders: ${session.remindersSent}`);
+  } catch (error) {
+    console.error('返信通知エラー:', error);
+    await logEvent('notification_error', target.userId, error.message);
+  }
+}
+
+// 起床確認の前の「起きた」（今日の起床確認をなしにして通知する）
+// 起床確認の EARLY_CHECKIN_HOURS 時間前から受け付ける
+const EARLY_CHECKIN_HOURS = 3;
+
+async function checkInEarly(event, target) {
+  const lang = await getLanguage(target.userId);
+  const today = todayIn(target.timezone);
+  const schedule = await storage.loadSchedule(target.userId);
+  const { time, source } = resolveStartTime(target, schedule, calendarDay(today));
+  if (source === 'checkin') {
+    await replyText(event, t(lang, 'early_already'));
+    return;
+  }
+  
+  const now = dayjs(clock.now());
+  const startAt = time ? zonedDateTime(today, time, target.timezone) : null;
+  if (!startAt || !now.isBefore(startAt)) {
+    await replyText(event, t(lang, 'not_in_session'));
+    return;
+  }
+  if (startAt.diff(now, 'minute') > EARLY_CHECKIN_HOURS * 60) {
+    const opensAt = startAt.subtract(EARLY_CHECKIN_HOURS, 'hour').tz(target.timezone).format('HH:mm');
+    await replyText(event, t(lang, 'early_too_soon', { hours: EARLY_CHECKIN_HOURS, time: opensAt }));
+    return;
+  }
+  
+  console.log(`🌅 早起き報告: ${target.key} (${time}の起床確認前)`);
+  await updateSchedule(changeContext(target.userId, event.message.text), target.userId, 'checkin', today, true);
+  await replyText(event, t(lang, 'early_accepted', { time }));
+  
+  try {
+    const vars = { name: await getDisplayName(target.userId), count: 0, minutes: 0, start: time };
+    await notifyWatchers(target, lang => renderTemplate('awake_notify', { ...vars, detail: t(lang, 'detail_early', { time }) }, null, lang));
+    await logEvent('early_checkin', target.userId, `Start time: ${time}`);
+  } catch (error) {
+    console.error('早起き通知エラー:', error);
+    await logEvent('notification_error', target.userId, error.message);
+  }
+}
+
+// ターゲットからの予定の申請（休み・開始を遅らせる、管理者が承認してからスケジュールに反映する）
+const SCHEDULE_REQUEST_LABELS = {
+  ja: { off: '休み', later: '開始を遅らせる' },
+  en: { off: 'Day off', later: 'Later start' }
+};
+const OFF_REQUEST_PATTERN = /^(?:休み|off)(?:\s+(.+))?$/i;
+const LATER_REQUEST_PATTERN = /^(?:遅らせる|later)(?:\s+(\S+)\s+(\S+))?$/i;
+
+function describeScheduleRequest(request, lang = DEFAULT_LANGUAGE) {
+  const time = request.type === 'later' ? ` ${request.time}〜` : '';
+  return `${SCHEDULE_REQUEST_LABELS[lang][request.type]} ${formatDateList(request.dates, lang)}${time}`;
+}
+
+function buildScheduleRequestQuickReply(id, lang = DEFAULT_LANGUAGE) {
+  return {
+    items: [
+      { type: 'action', action: { type: 'postback', label: t(lang, 'button_approve'), data: `action=approve_request&id=${id}`, displayText: t(lang, 'approve_request_text', { id }) } },
+      { type: 'action', action: { type: 'postback', label: t(lang, 'button_reject'), data: `action=reject_request&id=${id}`, displayText: t(lang, 'reject_request_text', { id }) } }
+    ]
+  };
+}
+
+function dateErrorText(expr, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'date_unrecognized', { expr: expr || t(lang, 'none_given'), help: t(lang, 'date_help'), max: MAX_DATE_RANGE_DAYS });
+}
+
+async function requestScheduleChange(event, target, type, expr, timeValue) {
+  const lang = await getLanguage(target.userId);
+  const dates = parseDateExpression(expr, target.timezone);
+  if (!dates || dates.length === 0) {
+    await replyText(event, dateErrorText(expr, lang));
+    return;
+  }
+  
+  const schedule = await storage.loadSchedule(target.userId);
+  const currentTime = date => resolveStartTime(target, schedule, calendarDay(date)).time;
+  let time = null;
+  if (type === 'later') {
+    time = parseTime(timeValue);
+    if (!time) {
+      await replyText(event, t(lang, 'request_time_invalid'));
+      return;
+    }
+    const invalid = dates.filter(date => !currentTime(date) || currentTime(date) >= time);
+    if (invalid.length > 0) {
+      await replyText(event, t(lang, 'request_later_invalid', { dates: formatDateList(invalid, lang), time }));
+      return;
+    }
+  }
+  
+  // もともと起床確認がない日は休みの申請から外す
+  const requestDates = type === 'off' ? dates.filter(currentTime) : dates;
+  if (requestDates.length === 0) {
+    await replyText(event, t(lang, 'request_off_unneeded', { dates: formatDateList(dates, lang) }));
+    return;
+  }
+  
+  const request = { userId: target.userId, type, dates: requestDates, time, status: 'pending', createdAt: new Date(clock.now()).toISOString() };
+  const id = await storage.addScheduleRequest(request);
+  await replyText(event, t(lang, 'request_sent', { request: describeScheduleRequest(request, lang) }));
+  await logEvent('schedule_requested', target.userId, `#${id} ${describeScheduleRequest(request)}`);
+  console.log(`📨 予定の申請: #${id} ${target.key} ${describeScheduleRequest(request)}`);
+  
+  const name = await getDisplayName(target.userId);
+  await deliverLocalized(adminUserIds, lang => ({
+    type: 'text',
+    text: t(lang, 'request_admin_notice', { name, key: target.key, id, request: describeScheduleRequest(request, lang) }),
+    quickReply: buildScheduleRequestQuickReply(id, lang)
+  }), { kind: 'schedule_request', userId: target.userId });
+}
+
+// 予定の申請の承認・却下（承認時は今日以降の日付だけ反映し、ターゲットに結果を知らせる）
+async function decideScheduleRequest(event, userId, id, approve) {
+  const lang = await eventLanguage(event);
+  const request = await storage.getScheduleRequest(id);
+  if (!request || request.status !== 'pending') {
+    await replyText(event, t(lang, 'request_not_found', { id }));
+    return;
+  }
+  const target = targetsByUserId.get(request.userId);
+  if (!target) {
+    await replyText(event, t(lang, 'request_target_missing', { id }));
+    return;
+  }
+  
+  const today = todayIn(target.timezone);
+  const dates = approve ? request.dates.filter(date => date >= today) : request.dates;
+  const by = changeContext(userId, `申請 #${id} の承認（${describeScheduleRequest(request)}）`);
+  for (const date of approve ? dates : []) {
+    if (request.type === 'off') {
+      await updateSchedule(by, target.userId, 'exclude', date, true);
+    } else {
+      await updateSchedule(by, target.userId, 'change', date, request.time);
+    }
+  }
+  
+  const status = !approve ? 'rejected' : dates.length > 0 ? 'approved' : 'expired';
+  await storage.updateScheduleRequest(id, { status, decidedBy: userId, decidedAt: new Date(clock.now()).toISOString() });
+  await logEvent(`schedule_request_${status}`, userId, `#${id} ${target.key} ${describeScheduleRequest(request)}`);
+  console.log(`📨 予定の申請 #${id}: ${status}`);
+  
+  if (status === 'expired') {
+    await replyText(event, t(lang, 'request_expired', { id }));
+    return;
+  }
+  const decided = { ...request, dates };
+  await replyText(event, approve
+    ? t(lang, 'request_approved', { id, key: target.key, request: describeScheduleRequest(decided, lang) })
+    : t(lang, 'request_rejected', { id, key: target.key }));
+  await deliverLocalized(target.userId, lang => ({
+    type: 'text',
+    text: t(lang, approve ? 'request_approved_notice' : 'request_rejected_notice', { request: describeScheduleRequest(decided, lang) })
+  }), { kind: 'request_result', userId: target.userId });
+}
+
+// ターゲットからの返信処理（起床確認中でなく、起床・スヌーズの返信や申請でもなければ false）
+async function handleTargetReply(event, target) {
+  const text = event.message.text.normalize('NFKC').trim();
+  // コマンドは返信として扱わずコマンド処理に回す（管理者を兼ねるターゲットが起床確認中も使えるように）
+  if (isCommandText(text)) {
+    return false;
+  }
+  const session = getSession(target.userId);
+  const snoozeMatch = SNOOZE_PATTERN.exec(text);
+  const lang = await getLanguage(target.userId);
+  
+  const offMatch = OFF_REQUEST_PATTERN.exec(text);
+  const laterMatch = LATER_REQUEST_PATTERN.exec(joinDateWords(text));
+  if ((offMatch && !offMatch[1]) || (laterMatch && !laterMatch[1])) {
+    await replyText(event, t(lang, 'request_usage', { help: t(lang, 'date_help') }));
+    return true;
+  }
+  if (offMatch || laterMatch) {
+    await requestScheduleChange(event, target, offMatch ? 'off' : 'later', (offMatch || laterMatch)[1], laterMatch?.[2]);
+    return true;
+  }
+  
+  if (!session.active) {
+    if (AWAKE_PATTERN.test(text)) {
+      await checkInEarly(event, target);
+      return true;
+    }
+    if (snoozeMatch) {
+      await replyText(event, t(lang, 'not_in_session'));
+      return true;
+    }
+    return false;
+  }
+  
+  const name = await getDisplayName(target.userId);
+  
+  if (snoozeMatch) {
+    const minutes = Number(snoozeMatch[1] ?? snoozeMatch[2]);
+    const limit = session.policy.snoozeLimit ?? DEFAULT_ESCALATION_POLICY.snoozeLimit;
+    const remaining = limit - session.snoozedMinutes;
+    
+    if (minutes < 1 || minutes > remaining) {
+      await replyText(event, remaining > 0
+        ? t(lang, 'snooze_remaining', { minutes: remaining })
+        : t(lang, 'snooze_exhausted'), { quickReply: wakeupQuickReply(lang) });
+      await logEvent('snooze_rejected', target.userId, `requested: ${minutes}min, remaining: ${remaining}min`);
+      return true;
+    }
+    
+    console.log(`😴 スヌーズ: ${target.key} ${minutes}分`);
+    incrementCounter('responses_total', { target: target.key, result: 'snooze' });
+    stopSession(session);
+    session.challenge = null;
+    session.snoozedMinutes += minutes;
+    session.snoozeUntil = new Date(clock.now() + minutes * 60 * 1000).toISOString();
+    session.deadline = new Date(stageDueAt(session, session.policy.stages[session.policy.stages.length - 1])).toISOString();
+    armSession(target, session);
+    await saveSessionState(target.userId, session);
+    await replyText(event, t(lang, 'snooze_accepted', { minutes }));
+    
+    try {
+      const vars = await sessionTemplateVars(target, session, { name, snooze: minutes });
+      await notifyWatchers(target, lang => renderTemplate('snooze_notify', vars, null, lang));
+      await logEvent('snooze_requested', target.userId, `${minutes}min, total: ${session.snoozedMinutes}min`);
+    } catch (error) {
+      console.error('スヌーズ通知エラー:', error);
+      await logEvent('notification_error', target.userId, error.message);
+    }
+    return true;
+  }
+  
+  // チャレンジ回答中（「起きた」の再送は問題の再表示）
+  if (session.challenge) {
+    const { challenge } = session;
+    if (AWAKE_PATTERN.test(text) && !matchesAnswer(text, challenge.answer)) {
+      await replyText(event, t(lang, 'challenge_repeat', { question: challenge.question }));
+      return true;
+    }
+    if (matchesAnswer(text, challenge.answer)) {
+      await logEvent('challenge_passed', target.userId, challenge.question);
+      await completeWakeup(event, target, session, name, 'detail_challenge');
+      return true;
+    }
+    
+    challenge.attemptsLeft -= 1;
+    await logEvent('challenge_failed', target.userId, `${challenge.question} answer: ${text}, left: ${challenge.attemptsLeft}`);
+    if (challenge.attemptsLeft > 0) {
+      await replyText(event, t(lang, 'challenge_wrong', { attempts: challenge.attemptsLeft, question: challenge.question }));
+      return true;
+    }
+    
+    session.challenge = null;
+    incrementCounter('responses_total', { target: target.key, result: 'challenge_failed' });
+    await replyText(event, t(lang, 'challenge_failed'), { quickReply: wakeupQuickReply(lang) });
+    try {
+      const vars = await sessionTemplateVars(target, session, { name });
+      await notifyWatchers(target, lang => renderTemplate('challenge_failed_notify', vars, null, lang));
+    } catch (error) {
+      console.error('チャレンジ失敗通知エラー:', error);
+      await logEvent('notification_error', target.userId, error.message);
+    }
+    return true;
+  }
+  
+  if (AWAKE_PATTERN.test(text)) {
+    const settings = session.policy.challenge || DEFAULT_ESCALATION_POLICY.challenge;
+    if (settings.mode !== 'off') {
+      session.challenge = createChallenge(settings, lang);
+      await logEvent('challenge_sent', target.userId, session.challenge.question);
+      await replyText(event, t(lang, 'challenge_sent', { question: session.challenge.question }));
+      return true;
+    }
+    
+    await completeWakeup(event, target, session, name, 'detail_awake');
+    return true;
+  }
+  
+  // 起床確認中のそれ以外の返信は応答として扱わない
+  await replyText(event, t(lang, 'reply_unrecognized'), { quickReply: wakeupQuickReply(lang) });
+  await logEvent('response_unrecognized', target.userId, text);
+  return true;
+}
+
+function targetNotFoundText(lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'target_not_found', { keys: targets.map(target => target.key).join(', ') });
+}
+
+// 日付指定コマンドの共通処理（全ターゲット分を検証してから適用し、対象の日付を一覧で返信）
+// description: 返信の見出し（返信する言語で渡す）
+async function applyToDates(event, expr, selector, apply, description) {
+  const lang = await eventLanguage(event);
+  const selected = resolveTargets(selector);
+  if (!selected) {
+    await replyText(event, targetNotFoundText(lang));
+    return;
+  }
+  
+  const plans = [];
+  for (const target of selected) {
+    const dates = parseDateExpression(expr, target.timezone);
+    if (!dates || dates.length === 0) {
+      await replyText(event, dateErrorText(expr, lang));
+      return;
+    }
+    plans.push({ target, dates });
+  }
+  
+  for (const { target, dates } of plans) {
+    for (const date of dates) {
+      await apply(target, date);
+    }
+  }
+  
+  // タイムゾーンの違いで日付がずれる場合はターゲットごとに表示
+  const sameDates = plans.every(plan => plan.dates.join() === plans[0].dates.join());
+  const lines = sameDates
+    ? [`${formatDateList(plans[0].dates, lang)} (${selected.map(target => target.key).join(', ')})`]
+    : plans.map(({ target, dates }) => `${target.key}: ${formatDateList(dates, lang)}`);
+  const note = normalizeEnglishDate(expr).startsWith('毎週') ? `\n${t(lang, 'recurring_note', { weeks: RECURRING_WEEKS })}` : '';
+  
+  await replyText(event, `${t(lang, 'dates_applied', { description, count: plans[0].dates.length })}\n${lines.join('\n')}${note}`);
+  console.log(`📅 ${description}: ${plans[0].dates.join(', ')}`);
+}
+
+// 参加申請の承認・却下ボタン
+function buildMemberQuickReply(id, lang = DEFAULT_LANGUAGE) {
+  return {
+    items: [
+      { type: 'action', action: { type: 'postback', label: t(lang, 'button_approve'), data: `action=approve_member&id=${id}`, displayText: t(lang, 'approve_member_text', { id }) } },
+      { type: 'action', action: { type: 'postback', label: t(lang, 'button_reject'), data: `action=reject_member&id=${id}`, displayText: t(lang, 'reject_member_text', { id }) } }
+    ]
+  };
+}
+
+// 登録されたときの案内（ロールごとのキー）
+const ROLE_WELCOME_KEYS = { admin: 'welcome_admin', notifier: 'welcome_notifier', target: 'welcome_target' };
+
+// 招待コードの受け付け（コードの形をしていなければ false、承認待ちとして登録し管理者に知らせる）
+async function redeemInvite(event, userId, text) {
+  const code = text.trim().toUpperCase();
+  if (!new RegExp(`^[${INVITE_CODE_CHARS}]{${INVITE_CODE_LENGTH}}$`).test(code)) {
+    return false;
+  }
+  
+  const lang = await getLanguage(userId);
+  const invite = await storage.getInvite(code);
+  if (!invite || invite.usedBy || new Date(invite.expiresAt).getTime() < clock.now()) {
+    await replyText(event, t(lang, 'invite_invalid'));
+    return true;
+  }
+  
+  const members = await storage.loadMembers();
+  const existing = members.find(m => m.userId === userId && m.role === invite.role && m.targetKey === invite.targetKey);
+  if (existing) {
+    await replyText(event, t(lang, existing.status === 'pending' ? 'member_pending' : 'member_exists'));
+    return true;
+  }
+  if (invite.role === 'target' && members.some(m => m.role === 'target' && (m.userId === userId || m.targetKey === invite.targetKey))) {
+    await replyText(event, t(lang, 'invite_target_taken'));
+    return true;
+  }
+  
+  const now = new Date(clock.now()).toISOString();
+  const id = await storage.addMember({
+    userId,
+    role: invite.role,
+    targetKey: invite.targetKey,
+    status: 'pending',
+    inviteCode: code,
+    addedBy: invite.createdBy,
+    createdAt: now
+  });
+  await storage.saveInvite({ ...invite, usedBy: userId, usedAt: now });
+  await replyText(event, t(lang, 'invite_accepted'));
+  await logEvent('member_requested', userId, `#${id} ${describeRole(invite)}`);
+  console.log(`🙋 参加申請: #${id} ${describeRole(invite)} ${userId}`);
+  
+  const name = await getDisplayName(userId);
+  await deliverLocalized(adminUserIds, lang => ({
+    type: 'text',
+    text: t(lang, 'member_admin_notice', { name, id, role: describeRole(invite, lang) }),
+    quickReply: buildMemberQuickReply(id, lang)
+  }), { kind: 'member_request', userId });
+  return true;
+}
+
+// 参加申請の承認・却下（申請者にも結果を知らせる）
+async function decideMember(event, userId, id, approve) {
+  const lang = await eventLanguage(event);
+  const member = (await storage.loadMembers()).find(m => m.id === id);
+  if (!member || member.status !== 'pending') {
+    await replyText(event, t(lang, 'member_not_found', { id }));
+    return;
+  }
+  if (approve && member.role === 'target' && targets.some(target => target.key === member.targetKey || target.userId === member.userId)) {
+    await replyText(event, t(lang, 'member_target_taken', { key: member.targetKey }));
+    return;
+  }
+  
+  if (approve) {
+    await storage.updateMemberStatus(id, 'active');
+  } else {
+    await storage.removeMember(id);
+  }
+  await refreshMembers();
+  
+  const name = await getDisplayName(member.userId);
+  const role = describeRole(member);
+  await replyText(event, t(lang, approve ? 'member_approved' : 'member_rejected', { name, role: describeRole(member, lang), id }));
+  await logEvent(approve ? 'member_approved' : 'member_rejected', userId, `#${id} ${member.userId} ${role}`);
+  console.log(`👥 参加申請${approve ? '承認' : '却下'}: #${id} ${role}`);
+  
+  await deliverLocalized(member.userId, lang => ({
+    type: 'text',
+    text: approve
+      ? t(lang, 'member_approved_notice', { role: describeRole(member, lang), welcome: t(lang, ROLE_WELCOME_KEYS[member.role], { help: t(lang, 'target_request_help') }) })
+      : t(lang, 'member_rejected_notice')
+  }), { kind: 'member_notice', userId: member.userId });
+}
+
+async function formatMembers(members, lang = DEFAULT_LANGUAGE) {
+  if (members.length === 0) {
+    return t(lang, 'members_empty');
+  }
+  const sorted = [...members].sort((a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role) || a.id - b.id);
+  const lines = [];
+  for (const member of sorted) {
+    lines.push(`${member.status === 'pending' ? '⏳ ' : '・'}#${member.id} ${describeRole(member, lang)}: ${await getDisplayName(member.userId)}`);
+  }
+  const pending = members.filter(member => member.status === 'pending').length;
+  return `${t(lang, 'members_title')}\n${lines.join('\n')}` +
+    (pending > 0 ? `\n\n${t(lang, 'members_pending', { count: pending })}` : '');
+}
+
+// 英語のコマンド名（先頭の単語だけ置き換え、大文字小文字は区別しない）
+const COMMAND_ALIASES = {
+  list: '一覧',
+  exclude: '除外',
+  include: '除外削除',
+  change: '変更',
+  weekly: '曜日一覧',
+  'weekly-set': '曜日設定',
+  'weekly-remove': '曜日削除',
+  stages: '段階一覧',
+  interval: 'リマインド間隔',
+  'snooze-limit': 'スヌーズ上限',
+  challenge: 'チャレンジ設定',
+  'stage-add': '段階追加',
+  'stage-remove': '段階削除',
+  'stage-reset': '段階リセット',
+  stats: '統計',
+  export: 'エクスポート',
+  import: 'インポート',
+  invite: '招待',
+  users: 'ユーザー一覧',
+  approve: '承認',
+  reject: '却下',
+  'remove-user': 'ユーザー削除',
+  history: '履歴',
+  undo: '取り消し',
+  requests: '申請一覧',
+  'approve-request': '申請承認',
+  'reject-request': '申請却下',
+  groups: 'グループ一覧',
+  'group-add': 'グループ登録',
+  'group-remove': 'グループ解除',
+  templates: 'テンプレート一覧',
+  'template-add': 'テンプレート追加',
+  'template-remove': 'テンプレート削除',
+  'template-mode': 'テンプレート順番',
+  'template-reset': 'テンプレートリセット',
+  delivery: '配信状況',
+  resend: '再送',
+  help: 'ヘルプ'
+};
+
+// 日付を引数に取るコマンド
+const DATE_COMMANDS = ['除外', '除外削除', '変更'];
+
+function normalizeCommand(text) {
+  const [, command, rest] = /^(\S+)([\s\S]*)$/.exec(text) || [];
+  const name = (command && COMMAND_ALIASES[command.toLowerCase()]) || command;
+  if (!name) {
+    return text;
+  }
+  return `${name}${DATE_COMMANDS.includes(name) ? joinDateWords(rest) : rest}`;
+}
+
+// コマンド名で始まるか（英語名も含む）
+const COMMAND_NAMES = new Set(Object.values(COMMAND_ALIASES));
+
+function isCommandText(text) {
+  return COMMAND_NAMES.has(normalizeCommand(text).split(/\s/)[0]);
+}
+
+// 表示言語の設定（管理者以外やターゲットも使える、グループ内では管理者がそのグループの言語を設定する）
+const LANGUAGE_COMMAND_PATTERN = /^(?:言語|language)(?:\s+(\S+))?$/i;
+
+async function handleLanguageCommand(event) {
+  const match = LANGUAGE_COMMAND_PATTERN.exec(event.message.text.normalize('NFKC').trim());
+  if (!match) {
+    return false;
+  }
+  const userId = event.source.userId;
+  const chatId = chatIdOf(event.source);
+  if (chatId && !adminUserIds.includes(userId)) {
+    return true;
+  }
+  
+  const id = chatId || userId;
+  const current = await getLanguage(id);
+  const options = Object.entries(LANGUAGE_LABELS).map(([code, label]) => `${code} (${label})`).join(' / ');
+  if (!match[1]) {
+    await replyText(event, t(current, 'language_current', { language: LANGUAGE_LABELS[current], options }));
+    return true;
+  }
+  
+  const arg = match[1].toLowerCase();
+  const language = LANGUAGE_LABELS[arg] ? arg : LANGUAGE_ALIASES[arg];
+  if (!language) {
+    await replyText(event, t(current, 'language_invalid', { options }));
+    return true;
+  }
+  
+  await storage.saveLanguage(id, language);
+  await replyText(event, t(language, 'language_changed', { language: LANGUAGE_LABELS[language] }));
+  await logEvent('language_changed', userId, `${id}: ${language}`);
+  console.log(`🌐 言語設定: ${id} → ${language}`);
+  return true;
+}
+
+// コマンド処理
+async function handleCommand(event) {
+  const { text: rawText } = event.message;
+  const text = normalizeCommand(rawText);
+  const userId = event.source.userId;
+  
+  try {
+    // グループ内では管理者以外の会話に反応しない
+    const chatId = chatIdOf(event.source);
+    if (chatId && !adminUserIds.includes(userId)) {
+      return;
+    }
+    
+    console.log(`🎮 コマンド処理開始: "${rawText}" from ${userId}`);
+    await logEvent('command_received', userId, rawText);
+    const lang = await eventLanguage(event);
+    
+    // 管理者権限チェック（未登録のユーザーは招待コードを受け付ける）
+    if (!adminUserIds.includes(userId)) {
+      console.log(`🚫 非管理者からのアクセス: ${userId}`);
+      if (await redeemInvite(event, userId, rawText)) {
+        return;
+      }
+      
+      const own = (await storage.loadMembers()).filter(member => member.userId === userId);
+      if (own.length === 0) {
+        await replyText(event, t(lang, 'invite_prompt', { length: INVITE_CODE_LENGTH }));
+      } else if (own.every(member => member.status === 'pending')) {
+        await replyText(event, t(lang, 'member_pending_wait'));
+      } else if (targetsByUserId.has(userId)) {
+        await replyText(event, t(lang, 'target_request_help'));
+      } else {
+        await replyText(event, t(lang, 'not_accepted'));
+      }
+      return;
+    }
+    
+    console.log(`✅ 管理者アクセス確認: ${userId}`);
+    // このコマンドでのスケジュール変更（履歴と取り消しの単位）
+    const by = changeContext(userId, rawText);
+    // 使い方の案内に出すコマンド名（送られてきたままの表記）
+    const commandName = rawText.split(/\s/)[0];
+    
+    // コマンド処理（末尾の引数でターゲットを指定、省略時は全ターゲット）
+    if (text === '一覧' || text.startsWith('一覧 ')) {
+      const selected = resolveTargets(text.split(' ')[1]);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const shown = selected.slice(0, CALENDAR_MAX_BUBBLES);
+      const bubbles = [];
+      for (const target of shown) {
+        bubbles.push(buildCalendarBubble(target, await storage.loadSchedule(target.userId), getSession(target.userId), lang));
+      }
+      
+      const messages = [{
+        type: 'flex',
+        altText: t(lang, 'calendar_alt', { keys: shown.map(target => target.key).join(', ') }),
+        contents: { type: 'carousel', contents: bubbles }
+      }];
+      if (selected.length > shown.length) {
+        const rest = selected.slice(shown.length).map(target => target.key).join(', ');
+        messages.push({ type: 'text', text: t(lang, 'calendar_more', { keys: rest }) });
+      }
+      await replyMessage(event, messages);
+      console.log('📋 一覧表示完了');
+      return;
+    }
+    
+    if (text.startsWith('除外 ')) {
+      const [, expr, selector] = text.split(' ');
+      await applyToDates(event, expr, selector, (target, date) => updateSchedule(by, target.userId, 'exclude', date, true), t(lang, 'excluded_added'));
+      return;
+    }
+    
+    if (text.startsWith('除外削除 ')) {
+      const [, expr, selector] = text.split(' ');
+      await applyToDates(event, expr, selector, (target, date) => updateSchedule(by, target.userId, 'exclude', date, false), t(lang, 'excluded_removed'));
+      return;
+    }
+    
+    if (text.startsWith('変更 ')) {
+      const [, expr, timeArg, selector] = text.split(' ');
+      const time = parseTime(timeArg);
+      if (!time) {
+        await replyText(event, t(lang, 'change_usage'));
+        return;
+      }
+      
+      await applyToDates(event, expr, selector, (target, date) => updateSchedule(by, target.userId, 'change', date, time), t(lang, 'time_changed', { time }));
+      return;
+    }
+    
+    if (text === '曜日一覧' || text.startsWith('曜日一覧 ')) {
+      const selected = resolveTargets(text.split(' ')[1]);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const sections = [];
+      for (const target of selected) {
+        const { weekly } = await storage.loadSchedule(target.userId);
+        const lines = [1, 2, 3, 4, 5, 6, 0].map(weekday => 
+          `${WEEKDAY_NAMES[lang][weekday]}: ${weekly[weekday] || t(lang, 'weekly_default', { time: target.defaultTime })}`
+        );
+        sections.push(`👤 ${target.key}\n${lines.join('\n')}`);
+      }
+      
+      await replyText(event, `${t(lang, 'weekly_title')}\n\n${sections.join('\n\n')}`);
+      console.log('🗓 曜日ルール表示完了');
+      return;
+    }
+    
+    if (text.startsWith('曜日設定 ')) {
+      const [, daysArg, timeArg, selector] = text.split(' ');
+      const weekdays = parseWeekdays(daysArg);
+      const time = parseTime(timeArg);
+      
+      if (!weekdays || !time) {
+        await replyText(event, t(lang, 'weekly_set_usage'));
+        return;
+      }
+      
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      for (const target of selected) {
+        for (const weekday of weekdays) {
+          await updateSchedule(by, target.userId, 'weekly', weekday, time);
+        }
+      }
+      const dayLabels = weekdays.map(d => WEEKDAY_LABELS[d]).join('・');
+      await replyText(event, t(lang, 'weekly_set', {
+        days: weekdays.map(d => WEEKDAY_NAMES[lang][d]).join(t(lang, 'weekday_separator')),
+        time,
+        keys: selected.map(target => target.key).join(', ')
+      }));
+      console.log(`🗓 曜日ルール設定: ${dayLabels} → ${time}`);
+      return;
+    }
+    
+    if (text.startsWith('曜日削除 ')) {
+      const [, daysArg, selector] = text.split(' ');
+      const weekdays = parseWeekdays(daysArg);
+      
+      if (!weekdays) {
+        await replyText(event, t(lang, 'weekly_remove_usage'));
+        return;
+      }
+      
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      for (const target of selected) {
+        for (const weekday of weekdays) {
+          await updateSchedule(by, target.userId, 'weekly', weekday, null);
+        }
+      }
+      const dayLabels = weekdays.map(d => WEEKDAY_LABELS[d]).join('・');
+      await replyText(event, t(lang, 'weekly_removed', {
+        days: weekdays.map(d => WEEKDAY_NAMES[lang][d]).join(t(lang, 'weekday_separator')),
+        keys: selected.map(target => target.key).join(', ')
+      }));
+      console.log(`🗓 曜日ルール削除: ${dayLabels}`);
+      return;
+    }
+    
+    if (text === '段階一覧' || text.startsWith('段階一覧 ')) {
+      const selected = resolveTargets(text.split(' ')[1]);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const sections = [];
+      for (const target of selected) {
+        sections.push(formatEscalationPolicy(target, await storage.loadEscalationPolicy(target.userId), lang));
+      }
+      await replyText(event, `${t(lang, 'policy_title')}\n\n${sections.join('\n\n')}`);
+      console.log('🚨 エスカレーション表示完了');
+      return;
+    }
+    
+    if (text.startsWith('リマインド間隔 ')) {
+      const [, minutesArg, selector] = text.split(' ');
+      const minutes = Number(minutesArg);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60) {
+        await replyText(event, t(lang, 'interval_usage'));
+        return;
+      }
+      
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      for (const target of selected) {
+        const policy = await storage.loadEscalationPolicy(target.userId);
+        await storage.saveEscalationPolicy(target.userId, { ...policy, reminderInterval: minutes });
+      }
+      await replyText(event, t(lang, 'interval_changed', { minutes, keys: selected.map(target => target.key).join(', ') }));
+      console.log(`🚨 リマインダー間隔変更: ${minutes}分`);
+      return;
+    }
+    
+    if (text.startsWith('スヌーズ上限 ')) {
+      const [, minutesArg, selector] = text.split(' ');
+      const minutes = Number(minutesArg);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ESCALATION_MINUTES) {
+        await replyText(event, t(lang, 'snooze_limit_usage'));
+        return;
+      }
+      
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      for (const target of selected) {
+        const policy = await storage.loadEscalationPolicy(target.userId);
+        await storage.saveEscalationPolicy(target.userId, { ...policy, snoozeLimit: minutes });
+      }
+      await replyText(event, t(lang, 'snooze_limit_changed', { minutes, keys: selected.map(target => target.key).join(', ') }));
+      console.log(`😴 スヌーズ上限変更: ${minutes}分`);
+      return;
+    }
+    
+    if (text.startsWith('チャレンジ設定 ')) {
+      // チャレンジ設定 モード [難易度] [回数] [対象]
+      const args = text.split(' ').slice(1);
+      const trailingTarget = args.length > 1 ? resolveTargets(args[args.length - 1]) : null;
+      if (trailingTarget) {
+        args.pop();
+      }
+      const modeAliases = { オフ: 'off', 計算: 'math', 単語: 'word', ミックス: 'mix', words: 'word' };
+      const mode = modeAliases[args[0]] || args[0]?.toLowerCase();
+      const difficulty = Number(args[1] || 1);
+      const attempts = Number(args[2] || 3);
+      
+      if (!CHALLENGE_MODE_LABELS.ja[mode] || ![1, 2, 3].includes(difficulty) ||
+        !Number.isInteger(attempts) || attempts < 1 || attempts > 10) {
+        await replyText(event, t(lang, 'challenge_usage'));
+        return;
+      }
+      
+      const selected = trailingTarget || targets;
+      for (const target of selected) {
+        const policy = await storage.loadEscalationPolicy(target.userId);
+        await storage.saveEscalationPolicy(target.userId, { ...policy, challenge: { mode, difficulty, attempts } });
+      }
+      await replyText(event, t(lang, 'challenge_changed', { mode: CHALLENGE_MODE_LABELS[lang][mode], keys: selected.map(target => target.key).join(', ') }));
+      console.log(`🧮 チャレンジ設定: ${mode} ${difficulty} ${attempts}`);
+      return;
+    }
+    
+    if (text.startsWith('段階追加 ')) {
+      // 段階追加 [対象] 分 通知先 メッセージ（メッセージに空白を含めるため対象は先頭で指定）
+      const args = text.split(' ').slice(1);
+      const leadingTarget = targets.find(target => target.key === args[0]);
+      if (leadingTarget) {
+        args.shift();
+      }
+      const [minutesArg, notifyArg, ...messageParts] = args;
+      const minutes = Number(minutesArg);
+      // メッセージ省略時は escalation テンプレートを使う
+      const message = messageParts.join(' ') || null;
+      
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ESCALATION_MINUTES || !notifyArg) {
+        await replyText(event, t(lang, 'stage_add_usage', { max: MAX_ESCALATION_MINUTES }));
+        return;
+      }
+      
+      const notify = notifyArg === '全員' || notifyArg === 'all'
+        ? 'all'
+        : notifyArg.split(',').filter(id => id.trim());
+      const selected = leadingTarget ? [leadingTarget] : targets;
+      
+      for (const target of selected) {
+        const policy = await storage.loadEscalationPolicy(target.userId);
+        const stages = policy.stages
+          .filter(stage => stage.after !== minutes)
+          .concat({ after: minutes, notify, message })
+          .sort((a, b) => a.after - b.after);
+        await storage.saveEscalationPolicy(target.userId, { ...policy, stages });
+      }
+      await replyText(event, t(lang, 'stage_added', { minutes, keys: selected.map(target => target.key).join(', ') }));
+      console.log(`🚨 エスカレーション段階追加: ${minutes}分`);
+      return;
+    }
+    
+    if (text.startsWith('段階削除 ')) {
+      const [, minutesArg, selector] = text.split(' ');
+      const minutes = Number(minutesArg);
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const policies = [];
+      for (const target of selected) {
+        const policy = await storage.loadEscalationPolicy(target.userId);
+        const stages = policy.stages.filter(stage => stage.after !== minutes);
+        if (stages.length === policy.stages.length) {
+          await replyText(event, t(lang, 'stage_not_found', { key: target.key, minutes: minutesArg }));
+          return;
+        }
+        if (stages.length === 0) {
+          await replyText(event, t(lang, 'stage_last'));
+          return;
+        }
+        policies.push([target, { ...policy, stages }]);
+      }
+      
+      for (const [target, policy] of policies) {
+        await storage.saveEscalationPolicy(target.userId, policy);
+      }
+      await replyText(event, t(lang, 'stage_removed', { minutes, keys: selected.map(target => target.key).join(', ') }));
+      console.log(`🚨 エスカレーション段階削除: ${minutes}分`);
+      return;
+    }
+    
+    if (text === '段階リセット' || text.startsWith('段階リセット ')) {
+      const selected = resolveTargets(text.split(' ')[1]);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      for (const target of selected) {
+        await storage.saveEscalationPolicy(target.userId, null);
+      }
+      await replyText(event, t(lang, 'policy_reset', { keys: selected.map(target => target.key).join(', ') }));
+      console.log('🚨 エスカレーション設定リセット');
+      return;
+    }
+    
+    if (text === '統計' || text.startsWith('統計 ')) {
+      // 統計 [期間] [対象]（順不同）
+      const args = text.split(' ').slice(1);
+      const selectorArg = args.find(arg => targets.some(target => target.key === arg));
+      const periodArg = args.find(arg => arg !== selectorArg);
+      const selected = resolveTargets(selectorArg);
+      
+      const sections = [];
+      for (const target of selected) {
+        const period = parseStatsPeriod(periodArg, target.timezone);
+        if (!period) {
+          await replyText(event, t(lang, 'stats_usage'));
+          return;
+        }
+        sections.push(formatStats(await computeStats(target, period), target, lang));
+      }
+      
+      await replyText(event, `${t(lang, 'stats_title')}\n\n${sections.join('\n\n')}`);
+      console.log('📊 統計表示完了');
+      return;
+    }
+    
+    if (text === 'エクスポート' || text.startsWith('エクスポート ')) {
+      const selected = resolveTargets(text.split(' ')[1]);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const exported = await exportSchedule(selected);
+      await replyText(event, JSON.stringify(exported, null, 2));
+      console.log('📤 スケジュールエクスポート完了');
+      return;
+    }
+    
+    if (text === 'インポート' || text.startsWith('インポート ') || text.startsWith('インポート\n')) {
+      // "インポート [対象] [JSON]"（JSON省略時はスケジュールファイルから読み込み）
+      const rest = text.slice('インポート'.length).trim();
+      const jsonStart = rest.indexOf('{');
+      const selector = (jsonStart === -1 ? rest : rest.slice(0, jsonStart)).trim() || undefined;
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      let data;
+      try {
+        data = jsonStart === -1 ? readScheduleFile() : JSON.parse(rest.slice(jsonStart));
+      } catch (error) {
+        await replyText(event, t(lang, 'import_read_failed', { error: error.message }));
+        return;
+      }
+      
+      let summary;
+      try {
+        summary = await importSchedule(data, selected, by, lang);
+      } catch (error) {
+        await replyText(event, `❌ ${error.message}`);
+        return;
+      }
+      
+      const lines = summary.map(s => t(lang, 'import_line', s));
+      await replyText(event, `${t(lang, 'import_done')}\n${lines.join('\n')}`);
+      await logEvent('schedule_imported', userId, JSON.stringify(summary));
+      console.log('📥 スケジュールインポート完了');
+      return;
+    }
+    
+    if (text === '招待' || text.startsWith('招待 ')) {
+      // 招待 管理者 / 招待 通知 [対象] / 招待 ターゲット キー
+      const [, roleArg, keyArg] = text.split(' ');
+      const role = ROLE_ALIASES[roleArg];
+      if (!role) {
+        await replyText(event, t(lang, 'invite_usage'));
+        return;
+      }
+      
+      let targetKey = null;
+      if (role === 'notifier' && keyArg) {
+        const selected = resolveTargets(keyArg);
+        if (!selected) {
+          await replyText(event, targetNotFoundText(lang));
+          return;
+        }
+        targetKey = selected[0].key;
+      } else if (role === 'target') {
+        if (!/^[A-Za-z0-9_-]{1,50}$/.test(keyArg || '')) {
+          await replyText(event, t(lang, 'invite_key_invalid'));
+          return;
+        }
+        if ((await storage.loadMembers()).some(m => m.role === 'target' && m.targetKey === keyArg)) {
+          await replyText(event, t(lang, 'invite_key_taken', { key: keyArg }));
+          return;
+        }
+        targetKey = keyArg;
+      }
+      
+      const createdAt = dayjs(clock.now());
+      const invite = {
+        code: generateInviteCode(),
+        role,
+        targetKey,
+        createdBy: userId,
+        createdAt: createdAt.toISOString(),
+        expiresAt: createdAt.add(INVITE_TTL_HOURS, 'hour').toISOString(),
+        usedBy: null,
+        usedAt: null
+      };
+      await storage.saveInvite(invite);
+      await replyText(event, t(lang, 'invite_created', { code: invite.code, role: describeRole(invite, lang), hours: INVITE_TTL_HOURS }));
+      await logEvent('invite_created', userId, describeRole(invite));
+      console.log(`🎟️ 招待コード発行: ${describeRole(invite)}`);
+      return;
+    }
+    
+    if (text === 'ユーザー一覧') {
+      await replyText(event, await formatMembers(await storage.loadMembers(), lang));
+      console.log('👥 ユーザー一覧表示完了');
+      return;
+    }
+    
+    if (/^(承認|却下) /.test(text)) {
+      const [command, arg] = text.split(' ');
+      if (!/^\d+$/.test(arg || '')) {
+        await replyText(event, t(lang, 'member_id_usage', { command: commandName }));
+        return;
+      }
+      await decideMember(event, userId, Number(arg), command === '承認');
+      return;
+    }
+    
+    if (text.startsWith('ユーザー削除 ')) {
+      const arg = text.split(' ')[1];
+      const members = await storage.loadMembers();
+      const member = /^\d+$/.test(arg || '') ? members.find(m => m.id === Number(arg)) : null;
+      if (!member) {
+        await replyText(event, t(lang, 'member_id_usage', { command: commandName }));
+        return;
+      }
+      const activeAdmins = members.filter(m => m.role === 'admin' && m.status === 'active');
+      if (member.role === 'admin' && member.status === 'active' && activeAdmins.length === 1) {
+        await replyText(event, t(lang, 'member_last_admin'));
+        return;
+      }
+      
+      await storage.removeMember(member.id);
+      await refreshMembers();
+      
+      const role = describeRole(member);
+      await replyText(event, t(lang, 'member_removed', { name: await getDisplayName(member.userId), role: describeRole(member, lang), id: member.id }));
+      await logEvent('member_removed', userId, `#${member.id} ${member.userId} ${role}`);
+      console.log(`👥 ユーザー削除: #${member.id} ${role}`);
+      return;
+    }
+    
+    if (text === '履歴' || text.startsWith('履歴 ')) {
+      const selector = text.split(' ')[1];
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const changes = await storage.listScheduleChanges({ userId: selector ? selected[0].userId : null, limit: 20 });
+      await replyText(event, await formatScheduleHistory(changes, lang));
+      console.log('📜 変更履歴表示完了');
+      return;
+    }
+    
+    if (text === '取り消し') {
+      const { changes, conflicts, reverted } = await undoLastScheduleChange(userId);
+      if (changes.length === 0) {
+        await replyText(event, t(lang, 'undo_nothing'));
+        return;
+      }
+      if (conflicts.length > 0) {
+        await replyText(event, `${t(lang, 'undo_conflict', { source: changes[0].source })}\n` +
+          conflicts.map(change => `・${describeScheduleChange(change, lang)}`).join('\n'));
+        return;
+      }
+      
+      await replyText(event, `${t(lang, 'undo_done', { source: changes[0].source })}\n` +
+        reverted.map(change => `・${describeScheduleChange(change, lang)}`).join('\n'));
+      await logEvent('schedule_undone', userId, `${changes[0].source} (${changes.length}件)`);
+      console.log(`↩️ 取り消し: ${changes[0].source}`);
+      return;
+    }
+    
+    if (text === '申請一覧') {
+      const requests = await storage.listScheduleRequests();
+      const lines = requests.map(request => {
+        const target = targetsByUserId.get(request.userId);
+        const requestedAt = dayjs(request.createdAt).tz(defaultTimezone).format('M/D HH:mm');
+        return t(lang, 'requests_line', { id: request.id, key: target ? target.key : request.userId, request: describeScheduleRequest(request, lang), at: requestedAt });
+      });
+      await replyText(event, lines.length > 0
+        ? t(lang, 'requests_title', { lines: lines.join('\n') })
+        : t(lang, 'requests_empty'));
+      console.log('📨 申請一覧表示完了');
+      return;
+    }
+    
+    if (/^申請(承認|却下) /.test(text)) {
+      const [command, arg] = text.split(' ');
+      if (!/^\d+$/.test(arg || '')) {
+        await replyText(event, t(lang, 'request_id_usage', { command: commandName }));
+        return;
+      }
+      await decideScheduleRequest(event, userId, Number(arg), command === '申請承認');
+      return;
+    }
+    
+    if (text === 'グループ一覧') {
+      await replyText(event, formatChats(await storage.loadChats(), lang));
+      console.log('👥 グループ一覧表示完了');
+      return;
+    }
+    
+    if (text === 'グループ登録' || text.startsWith('グループ登録 ') || text === 'グループ解除' || text.startsWith('グループ解除 ')) {
+      // グループ登録 [対象] / グループ解除 [対象]（登録したいグループ内で送る）
+      const [command, selector] = text.split(' ');
+      if (!chatId) {
+        await replyText(event, t(lang, 'chat_only', { command: commandName }));
+        return;
+      }
+      const selected = resolveTargets(selector);
+      if (!selected) {
+        await replyText(event, targetNotFoundText(lang));
+        return;
+      }
+      
+      const chats = await storage.loadChats();
+      const chat = chats.find(c => c.chatId === chatId) ||
+        { chatId, type: event.source.type, targetUserIds: [], joinedAt: new Date(clock.now()).toISOString() };
+      const selectedIds = selected.map(target => target.userId);
+      const targetUserIds = command === 'グループ登録'
+        ? [...new Set([...chat.targetUserIds, ...selectedIds])]
+        : chat.targetUserIds.filter(id => !selectedIds.includes(id));
+      await storage.saveChat({ ...chat, targetUserIds });
+      
+      const keys = selected.map(target => target.key).join(', ');
+      await replyText(event, t(lang, command === 'グループ登録' ? 'chat_registered' : 'chat_unregistered', {
+        chat: CHAT_TYPE_LABELS[lang][event.source.type],
+        keys
+      }));
+      await logEvent(command === 'グループ登録' ? 'chat_registered' : 'chat_unregistered', userId, `${chatId}: ${keys}`);
+      console.log(`👥 ${command}: ${chatId} (${keys})`);
+      return;
+    }
+    
+    if (text === 'テンプレート一覧') {
+      await replyText(event, formatTemplates(await storage.loadTemplates(), lang));
+      console.log('📝 テンプレート一覧表示完了');
+      return;
+    }
+    
+    if (text.startsWith('テンプレート追加 ') || text.startsWith('テンプレート削除 ') ||
+      text.startsWith('テンプレート順番 ') || text.startsWith('テンプレートリセット ')) {
+      // テンプレート追加 キー 文面 / テンプレート削除 キー 番号 / テンプレート順番 キー ランダム|順番 / テンプレートリセット キー
+      const [command, key, ...rest] = text.split(' ');
+      const value = rest.join(' ');
+      if (!MESSAGE_TEMPLATES[key]) {
+        await replyText(event, t(lang, 'template_not_found', { keys: Object.keys(MESSAGE_TEMPLATES).join(', ') }));
+        return;
+      }
+      
+      // 文面を編集すると、既定の文面は管理者の言語のものを元に保存する（保存した文面はどの言語にもそのまま使う）
+      const stored = (await storage.loadTemplates())[key];
+      const current = mergeTemplate(stored, key, lang);
+      let updated;
+      let result;
+      if (command === 'テンプレート追加') {
+        if (!value) {
+          await replyText(event, t(lang, 'template_add_usage'));
+          return;
+        }
+        updated = { ...current, variants: [...current.variants, value] };
+        result = t(lang, 'template_added', { index: updated.variants.length });
+      } else if (command === 'テンプレート削除') {
+        const index = Number(value) - 1;
+        if (!Number.isInteger(index) || index < 0 || index >= current.variants.length) {
+          await replyText(event, t(lang, 'template_index_invalid', { max: current.variants.length }));
+          return;
+        }
+        const variants = current.variants.filter((variant, i) => i !== index);
+        // 文面がなくなった場合は既定値に戻す
+        updated = variants.length > 0 ? { ...current, variants } : null;
+        result = variants.length > 0 ? t(lang, 'template_removed', { index: index + 1 }) : t(lang, 'template_emptied');
+      } else if (command === 'テンプレート順番') {
+        const mode = Object.keys(TEMPLATE_MODE_LABELS.ja)
+          .find(m => m === value || Object.values(TEMPLATE_MODE_LABELS).some(labels => labels[m] === value));
+        if (!mode) {
+          await replyText(event, t(lang, 'template_mode_usage'));
+          return;
+        }
+        updated = { mode, variants: stored?.variants || null };
+        result = t(lang, 'template_mode_changed', { mode: TEMPLATE_MODE_LABELS[lang][mode] });
+      } else {
+        updated = null;
+        result = t(lang, 'template_reset');
+      }
+      
+      await storage.saveTemplate(key, updated && { mode: updated.mode, variants: updated.variants });
+      templateCounters.delete(key);
+      await replyText(event, t(lang, 'template_updated', { key, label: defaultTemplate(key, lang).label, result }));
+      await logEvent('template_updated', userId, `${command} ${key}`);
+      console.log(`📝 テンプレート更新: ${key}`);
+      return;
+    }
+    
+    if (text === '配信状況') {
+      const lines = [];
+      try {
+        lines.push(formatQuota(await getMessageQuota(), lang));
+      } catch (error) {
+        lines.push(t(lang, 'quota_failed', { error: describePushError(error) }));
+      }
+      
+      const letters = await storage.listDeadLetters({ limit: 10 });
+      if (letters.length === 0) {
+        lines.push(t(lang, 'dead_letters_empty'));
+      } else {
+        lines.push(`\n${t(lang, 'dead_letters_title')}`, ...letters.map(letter => formatDeadLetter(letter, lang)));
+        lines.push(`\n${t(lang, 'dead_letters_resend')}`);
+      }
+      
+      await replyText(event, lines.join('\n'));
+      console.log('📮 配信状況表示完了');
+      return;
+    }
+    
+    if (text.startsWith('再送 ')) {
+      const arg = text.split(' ')[1].replace(/^#/, '');
+      let letters;
+      if (arg === '全部' || arg.toLowerCase() === 'all') {
+        letters = await storage.listDeadLetters({ limit: 50 });
+      } else {
+        const letter = /^\d+$/.test(arg) ? await storage.getDeadLetter(Number(arg)) : null;
+        if (!letter || letter.resolvedAt) {
+          await replyText(event, t(lang, 'dead_letter_not_found', { id: arg }));
+          return;
+        }
+        letters = [letter];
+      }
+      if (letters.length === 0) {
+        await replyText(event, t(lang, 'dead_letters_empty'));
+        return;
+      }
+      
+      const results = [];
+      for (const letter of letters) {
+        const result = await resendDeadLetter(letter);
+        results.push(result.delivered ? t(lang, 'resent', { id: letter.id }) : `❌ #${letter.id} ${result.error}`);
+      }
+      await replyText(event, results.join('\n'));
+      console.log(`📮 再送完了: ${letters.length}件`);
+      return;
+    }
+    
+    // ヘルプメッセージ
+    if (text === 'ヘルプ') {
+      await replyText(event, t(lang, 'help', { targets: targets.map(target => target.key).join(', ') }));
+      console.log('❓ ヘルプ表示完了');
+      return;
+    }
+    
+    console.log(`ℹ️ 未知のコマンド: ${rawText}`);
+    
+  } catch (error) {
+    console.error('❌ コマンド処理エラー:', error);
+    console.error('Error details:', error.stack);
+    incrementCounter('command_errors_total', { source: 'command' });
+    
+    try {
+      await replyText(event, t(await eventLanguage(event), 'command_error'));
+    } catch (replyError) {
+      console.error('❌ エラー返信失敗:', replyError);
+    }
+    
+    await logEvent('command_error', userId, `${rawText}: ${error.message}`);
+  }
+}
+
+// ポストバック処理（カレンダーのボタン操作・参加や予定の申請の承認、権限はコマンドと同じ）
+async function handlePostback(event) {
+  const userId = event.source.userId;
+  const params = new URLSearchParams(event.postback.data);
+  const action = params.get('action');
+  
+  try {
+    console.log(`🎮 ポストバック処理開始: "${event.postback.data}" from ${userId}`);
+    await logEvent('postback_received', userId, event.postback.data);
+    
+    if (!adminUserIds.includes(userId)) {
+      console.log(`🚫 非管理者からのアクセス: ${userId}`);
+      if (chatIdOf(event.source)) {
+        return;
+      }
+      await replyText(event, t(await getLanguage(userId), 'not_accepted'));
+      return;
+    }
+    
+    if (action === 'approve_member' || action === 'reject_member') {
+      await decideMember(event, userId, Number(params.get('id')), action === 'approve_member');
+      return;
+    }
+    if (action === 'approve_request' || action === 'reject_request') {
+      await decideScheduleRequest(event, userId, Number(params.get('id')), action === 'approve_request');
+      return;
+    }
+    
+    const lang = await eventLanguage(event);
+    const target = targets.find(t => t.key === params.get('target'));
+    const date = params.get('date');
+    if (!target || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      await replyText(event, t(lang, 'postback_invalid'));
+      return;
+    }
+    
+    const by = changeContext(userId, `カレンダーの操作（${target.key} ${formatDateList([date])}）`);
+    if (action === 'exclude') {
+      await updateSchedule(by, target.userId, 'exclude', date, true);
+      console.log(`📅 除外日追加: ${date}`);
+    } else if (action === 'include') {
+      await updateSchedule(by, target.userId, 'exclude', date, false);
+      console.log(`📅 除外日削除: ${date}`);
+    } else if (action === 'time') {
+      const time = parseTime(event.postback.params?.time);
+      if (!time) {
+        await replyText(event, t(lang, 'postback_no_time'));
+        return;
+      }
+      await updateSchedule(by, target.userId, 'change', date, time);
+      console.log(`⏰ 時刻変更: ${date} → ${time}`);
+    } else if (action === 'clear') {
+      await updateSchedule(by, target.userId, 'change', date, null);
+      console.log(`⏰ 時刻変更取消: ${date}`);
+    } else if (action !== 'day') {
+      console.log(`ℹ️ 未知のポストバック: ${action}`);
+      return;
+    }
+    
+    // 操作後の状態を表示し、続けて操作できるようにボタンを付ける
+    const schedule = await storage.loadSchedule(target.userId);
+    const prefix = action === 'day' ? '' : `${t(lang, 'postback_changed')}\n`;
+    await replyText(event, `${prefix}${describeDay(target, schedule, date, lang)}`, {
+      quickReply: buildDayQuickReply(target, schedule, date, lang)
+    });
+  } catch (error) {
+    console.error('❌ ポストバック処理エラー:', error);
+    incrementCounter('command_errors_total', { source: 'postback' });
+    
+    try {
+      await replyText(event, t(await eventLanguage(event), 'command_error'));
+    } catch (replyError) {
+      console.error('❌ エラー返信失敗:', replyError);
+    }
+    
+    await logEvent('command_error', userId, `postback ${event.postback.data}: ${error.message}`);
+  }
+}
+
+// Webhook処理
+// Webhook イベント処理（1件ずつ、エラーはログに残して他のイベントは続ける）
+async function handleEvent(event) {
+  console.log(`📥 イベント処理: ${event.type}`, event);
+  
+  try {
+    if (event.type === 'message' && event.message.type === 'text') {
+      console.log(`💬 テキストメッセージ: ${event.message.text} from ${event.source.userId}`);
+      
+      // 言語の設定は誰でも使える
+      if (await handleLanguageCommand(event)) {
+        return;
+      }
+      
+      // ターゲットユーザーからの1対1のトークでの返信処理（そのユーザーのセッションのみ対象）、それ以外はコマンド処理
+      // グループ・トークルームでの発言は起床確認や予定の申請として扱わない
+      const target = event.source.type === 'user' ? targetsByUserId.get(event.source.userId) : null;
+      if (!target || !(await handleTargetReply(event, target))) {
+        await handleCommand(event);
+      }
+    } else if (event.type === 'postback') {
+      await handlePostback(event);
+    } else if (event.type === 'follow') {
+      console.log('👋 新しいフォロー:', event.source.userId);
+      await logEvent('user_follow', event.source.userId);
+      const members = await storage.loadMembers();
+      if (!members.some(member => member.userId === event.source.userId)) {
+        const lang = await getLanguage(event.source.userId);
+        await replyText(event, `${t(lang, 'follow_greeting')}\n${t(lang, 'invite_prompt', { length: INVITE_CODE_LENGTH })}`);
+      }
+    } else if (event.type === 'unfollow') {
+      console.log('👋 アンフォロー:', event.source.userId);
+      await logEvent('user_unfollow', event.source.userId);
+    } else if (event.type === 'join') {
+      const chatId = chatIdOf(event.source);
+      console.log(`👥 ${CHAT_TYPE_LABELS.ja[event.source.type]}に参加:`, chatId);
+      await storage.saveChat({ chatId, type: event.source.type, targetUserIds: [], joinedAt: new Date(clock.now()).toISOString() });
+      await logEvent('bot_joined', null, `${event.source.type}: ${chatId}`);
+      await replyText(event, t(DEFAULT_LANGUAGE, 'join_greeting', { chat: CHAT_TYPE_LABELS[DEFAULT_LANGUAGE][event.source.type] }));
+    } else if (event.type === 'leave') {
+      const chatId = chatIdOf(event.source);
+      console.log(`👥 ${CHAT_TYPE_LABELS.ja[event.source.type]}から退出:`, chatId);
+      await storage.removeChat(chatId);
+      await logEvent('bot_left', null, `${event.source.type}: ${chatId}`);
+    } else {
+      console.log(`ℹ️ 未対応イベント: ${event.type}`);
+    }
+  } catch (eventError) {
+    console.error(`❌ イベント処理エラー [${event.type}]:`, eventError);
+    await logEvent('event_error', event.source?.userId, `${event.type}: ${eventError.message}`);
+  }
+}
+
+app.post('/webhook', line.middleware(config), async (req, res) => {
+  console.log('🔄 Webhook受信:', JSON.stringify(req.body, null, 2));
+  
+  try {
+    // イベントが存在しない場合の対応
+    if (!req.body.events || req.body.events.length === 0) {
+      console.log('ℹ️ イベントなし、200で応答');
+      res.status(200).end();
+      return;
+    }
+
+    // 返信やプッシュを待たずにすぐ応答する（待つと LINE が再送し、同じイベントを二重に処理してしまう）
+    req.body.events.forEach(enqueueEvent);
+    
+    console.log(`✅ Webhook受付完了（${req.body.events.length}件）、200で応答`);
+    res.status(200).end();
+  } catch (error) {
+    console.error('❌ Webhook処理エラー:', error);
+    console.error('Error stack:', error.stack);
+    await logEvent('webhook_error', null, error.message);
+    
+    // エラーでも200を返す（LINEの推奨）
+    res.status(200).end();
+  }
+});
+
+// Webhookイベントのキュー（同じユーザー・グループのイベントは受信順に1つずつ処理する）
+// 同じ webhookEventId は WEBHOOK_EVENT_RETENTION_HOURS 時間のあいだ一度だけ処理する（再送・重複配信の対策）
+const WEBHOOK_EVENT_RETENTION_HOURS = Number(process.env.WEBHOOK_EVENT_RETENTION_HOURS ?? 24);
+if (!Number.isInteger(WEBHOOK_EVENT_RETENTION_HOURS) || WEBHOOK_EVENT_RETENTION_HOURS < 1 || WEBHOOK_EVENT_RETENTION_HOURS > 720) {
+  console.error('❌ WEBHOOK_EVENT_RETENTION_HOURS は1〜720の整数で指定してください');
+  process.exit(1);
+}
+
+const eventQueues = new Map();
+
+function enqueueEvent(event) {
+  const queueKey = event.source?.userId || chatIdOf(event.source || {}) || 'system';
+  const previous = eventQueues.get(queueKey) || Promise.resolve();
+  const task = previous.then(() => processQueuedEvent(event));
+  eventQueues.set(queueKey, task);
+  task.then(() => {
+    if (eventQueues.get(queueKey) === task) {
+      eventQueues.delete(queueKey);
+    }
+  });
+  return task;
+}
+
+async function processQueuedEvent(event) {
+  try {
+    if (event.webhookEventId) {
+      // 記録に失敗した場合は取りこぼすより処理する
+      const claimed = await storage.claimWebhookEvent(event.webhookEventId, new Date(clock.now()).toISOString())
+        .catch(() => true);
+      if (!claimed) {
+        console.log(`♻️ 処理済みのイベントをスキップ: ${event.webhookEventId}${event.deliveryContext?.isRedelivery ? '（再送）' : ''}`);
+        await logEvent('webhook_duplicate', event.source?.userId, `${event.type}: ${event.webhookEventId}`);
+        return;
+      }
+    }
+    await handleEvent(event);
+  } catch (error) {
+    console.error('❌ キュー処理エラー:', error);
+  }
+}
+
+// 終了前に受付済みのイベントを処理しきる
+async function drainEventQueues() {
+  while (eventQueues.size > 0) {
+    await Promise.all(eventQueues.values());
+  }
+}
+
+async function pruneWebhookEvents() {
+  try {
+    const before = new Date(clock.now() - WEBHOOK_EVENT_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+    const count = await storage.pruneWebhookEvents(before);
+    if (count > 0) {
+      console.log(`🧹 処理済みWebhookイベントの記録を削除: ${count}件`);
+    }
+  } catch (error) {
+    console.error('❌ Webhookイベント記録の削除エラー:', error);
+  }
+}
+
+// ヘルスチェック
+app.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'LINE Wakeup Bot',
+    timestamp: new Date(clock.now()).toISOString()
+  });
+});
+
+// Webhook検証用エンドポイント
+app.get('/webhook', (req, res) => {
+  console.log('📞 Webhook GET request received');
+  res.status(200).send('Webhook endpoint is working');
+});
+
+// Authorization: Bearer <token> が token と一致するか
+function hasBearerToken(req, token) {
+  const [scheme, provided] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided || '');
+  return scheme === 'Bearer' && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// 管理API・デバッグ用の認証（Authorization: Bearer <ADMIN_API_TOKEN>）
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    res.status(503).json({ error: 'admin API is disabled (ADMIN_API_TOKEN is not set)' });
+    return;
+  }
+  
+  if (!hasBearerToken(req, token)) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  next();
+}
+
+// メトリクスの認証（Authorization: Bearer <METRICS_TOKEN>）
+// レート制限の対象外なので、トークン未設定のときは公開せずに無効にする
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    res.status(404).json({ error: 'metrics are disabled (METRICS_TOKEN is not set)' });
+    return;
+  }
+  
+  if (!hasBearerToken(req, token)) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  next();
+}
+
+// async ハンドラーの例外をエラーハンドラーへ渡す
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// 管理API
+const adminRouter = express.Router();
+adminRouter.use(requireAdminToken);
+
+// 対象の解決（target 省略時は全ターゲット）
+function resolveApiTargets(req, res) {
+  const selected = resolveTargets(req.body?.target || req.query.target);
+  if (!selected) {
+    res.status(404).json({ error: 'target not found' });
+  }
+  return selected;
+}
+
+function isValidDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') && dayjs(date).isValid();
+}
+
+adminRouter.get('/users', asyncHandler(async (req, res) => {
+  res.json({
+    targets: targets.map(target => ({
+      key: target.key,
+      userId: target.userId,
+      notifyUserIds: target.notifyUserIds,
+      defaultTime: target.defaultTime,
+      timezone: target.timezone,
+      holidayMode: target.holidayMode
+    })),
+    notifyUserIds: allNotifyUserIds(),
+    adminUserIds,
+    members: await storage.loadMembers()
+  });
+}));
+
+adminRouter.get('/schedules', asyncHandler(async (req, res) => {
+  const selected = resolveApiTargets(req, res);
+  if (!selected) {
+    return;
+  }
+  
+  const schedules = {};
+  for (const target of selected) {
+    schedules[target.key] = await storage.loadSchedule(target.userId);
+  }
+  res.json({ schedules });
+}));
+
+adminRouter.post('/exclusions', asyncHandler(async (req, res) => {
+  const { date } = req.body || {};
+  if (!isValidDate(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+  const selected = resolveApiTargets(req, res);
+  if (!selected) {
+    return;
+  }
+  
+  const by = changeContext('api', `POST /admin/exclusions ${date}`);
+  for (const target of selected) {
+    await updateSchedule(by, target.userId, 'exclude', date, true);
+  }
+  await logEvent('admin_api', null, `exclusion added: ${date} (${selected.map(t => t.key).join(', ')})`);
+  res.status(201).json({ date, targets: selected.map(t => t.key) });
+}));
+
+adminRouter.delete('/exclusions/:date', asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  if (!isValidDate(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+  const selected = resolveApiTargets(req, res);
+  if (!selected) {
+    return;
+  }
+  
+  const by = changeContext('api', `DELETE /admin/exclusions/${date}`);
+  for (const target of selected) {
+    await updateSchedule(by, target.userId, 'exclude', date, false);
+  }
+  await logEvent('admin_api', null, `exclusion removed: ${date} (${selected.map(t => t.key).join(', ')})`);
+  res.json({ date, targets: selected.map(t => t.key) });
+}));
+
+adminRouter.post('/changes', asyncHandler(async (req, res) => {
+  const { date } = req.body || {};
+  const time = parseTime(req.body?.time);
+  if (!isValidDate(date) || !time) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD and time must be HH:MM' });
+    return;
+  }
+  const selected = resolveApiTargets(req, res);
+  if (!selected) {
+    return;
+  }
+  
+  const by = changeContext('api', `POST /admin/changes ${date} ${time}`);
+  for (const target of selected) {
+    await updateSchedule(by, target.userId, 'change', date, time);
+  }
+  await logEvent('admin_api', null, `change set: ${date} ${time} (${selected.map(t => t.key).join(', ')})`);
+  res.status(201).json({ date, time, targets: selected.map(t => t.key) });
+}));
+
+adminRouter.delete('/changes/:date', asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  if (!isValidDate(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+  const selected = resolveApiTargets(req, res);
+  if (!selected) {
+    return;
+  }
+  
+  const by = changeContext('api', `DELETE /admin/changes/${date}`);
+  for (const target of selected) {
+    await updateSchedule(by, target.userId, 'change', date, null);
+  }
+  await logEvent('admin_api', null, `change removed: ${date} (${selected.map(t => t.key).join(', ')})`);
+  res.json({ date, targets: selected.map(t => t.key) });
+}));
+
+// ?target=キー&limit=50
+adminRouter.get('/schedule-changes', asyncHandler(async (req, res) => {
+  let userId = null;
+  if (req.query.target) {
+    const selected = resolveApiTargets(req, res);
+    if (!selected) {
+      return;
+    }
+    userId = selected[0].userId;
+  }
+  
+  const limit = Number(req.query.limit || 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    res.status(400).json({ error: 'invalid limit' });
+    return;
+  }
+  res.json({ changes: await storage.listScheduleChanges({ userId, limit }) });
+}));
+
+// ?target=キー&eventType=a,b&from=ISO&to=ISO&limit=50&offset=0
+adminRouter.get('/logs', asyncHandler(async (req, res) => {
+  let userId = null;
+  if (req.query.target) {
+    const selected = resolveApiTargets(req, res);
+    if (!selected) {
+      return;
+    }
+    userId = selected[0].userId;
+  }
+  
+  const since = req.query.from ? new Date(req.query.from) : null;
+  const until = req.query.to ? new Date(req.query.to) : null;
+  const limit = Number(req.query.limit || 50);
+  const offset = Number(req.query.offset || 0);
+  if ((since && isNaN(since)) || (until && isNaN(until)) ||
+    !Number.isInteger(limit) || limit < 1 || limit > 500 || !Number.isInteger(offset) || offset < 0) {
+    res.status(400).json({ error: 'invalid from/to/limit/offset' });
+    return;
+  }
+  
+  const eventTypes = req.query.eventType ? String(req.query.eventType).split(',') : null;
+  const { total, logs } = await storage.queryLogs({ userId, eventTypes, since, until, limit, offset });
+  res.json({ total, limit, offset, logs });
+}));
+
+adminRouter.post('/sessions/:target/start', asyncHandler(async (req, res) => {
+  const selected = resolveTargets(req.params.target);
+  if (!selected) {
+    res.status(404).json({ error: 'target not found' });
+    return;
+  }
+  
+  const [target] = selected;
+  const startTime = dayjs(clock.now()).tz(target.timezone).format('HH:mm');
+  await logEvent('bot_started', target.userId, `Start time: ${startTime} (manual)`);
+  await startWakeupMessages(target, startTime);
+  res.status(201).json({ target: target.key, startedAt: getSession(target.userId).startedAt });
+}));
+
+adminRouter.post('/sessions/:target/cancel', asyncHandler(async (req, res) => {
+  const selected = resolveTargets(req.params.target);
+  if (!selected) {
+    res.status(404).json({ error: 'target not found' });
+    return;
+  }
+  
+  const [target] = selected;
+  if (!(await cancelSession(target))) {
+    res.status(409).json({ error: 'no active session' });
+    return;
+  }
+  await logEvent('session_cancelled', target.userId, 'admin API');
+  res.json({ target: target.key, cancelled: true });
+}));
+
+adminRouter.get('/dead-letters', asyncHandler(async (req, res) => {
+  const includeResolved = req.query.all === 'true';
+  const limit = Number(req.query.limit || 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    res.status(400).json({ error: 'invalid limit' });
+    return;
+  }
+  res.json({ deadLetters: await storage.listDeadLetters({ includeResolved, limit }) });
+}));
+
+adminRouter.post('/dead-letters/:id/resend', asyncHandler(async (req, res) => {
+  const letter = /^\d+$/.test(req.params.id) ? await storage.getDeadLetter(Number(req.params.id)) : null;
+  if (!letter) {
+    res.status(404).json({ error: 'dead letter not found' });
+    return;
+  }
+  if (letter.resolvedAt) {
+    res.status(409).json({ error: 'already resent', resolvedAt: letter.resolvedAt });
+    return;
+  }
+  
+  const result = await resendDeadLetter(letter);
+  res.status(result.delivered ? 200 : 502).json({ id: letter.id, ...result });
+}));
+
+adminRouter.get('/quota', asyncHandler(async (req, res) => {
+  res.json(await getMessageQuota());
+}));
+
+adminRouter.use((error, req, res, next) => {
+  console.error('❌ 管理APIエラー:', error);
+  res.status(500).json({ error: error.message });
+});
+
+app.use('/admin', adminRouter);
+
+// デバッグ用エンドポイント
+app.get('/debug', requireAdminToken, async (req, res) => {
+  try {
+    const targetInfo = [];
+    for (const target of targets) {
+      const session = getSession(target.userId);
+      const planned = plannedStarts.get(target.userId);
+      targetInfo.push({
+        key: target.key,
+        userId: `${target.userId.slice(0, 8)}...`,
+        defaultTime: target.defaultTime,
+        timezone: target.timezone,
+        notifyUsers: target.notifyUserIds.length,
+        schedule: await storage.loadSchedule(target.userId),
+        botStatus: {
+          active: session.active,
+          hasResponded: session.hasResponded,
+          startedAt: session.startedAt,
+          deadline: session.deadline,
+          remindersSent: session.remindersSent,
+          stagesNotified: session.stagesNotified,
+          snoozedMinutes: session.snoozedMinutes,
+          snoozeUntil: session.snoozeUntil,
+          challengePending: !!session.challenge,
+          intervalActive: !!session.intervalId
+        },
+        nextStart: planned?.time ? `${planned.date} ${planned.time}` : null
+      });
+    }
+    
+    const debugInfo = {
+      timestamp: new Date(clock.now()).toISOString(),
+      server: {
+        port: port,
+        nodeEnv: process.env.NODE_ENV,
+        timezone: defaultTimezone,
+        storage: storage.type
+      },
+      config: {
+        targetUsers: targets.length,
+        notifyUsers: allNotifyUserIds().length,
+        adminUsers: adminUserIds.length,
+        hasDatabase: !!process.env.DATABASE_URL
+      },
+      eventQueues: eventQueues.size,
+      targets: targetInfo,
+      memory: storage.snapshot()
+    };
+    
+    res.json(debugInfo);
+  } catch (error) {
+    res.status(500).json({ error: error.message, stack: error.stack });
+  }
+});
+
+// 統計（?days=30 または ?from=YYYY-MM-DD&to=YYYY-MM-DD、?target=キー）
+app.get('/stats', requireAdminToken, async (req, res) => {
+  try {
+    const selected = resolveTargets(req.query.target);
+    if (!selected) {
+      res.status(404).json({ error: 'target not found' });
+      return;
+    }
+    
+    const periodArg = req.query.from && req.query.to ? `${req.query.from}~${req.query.to}` : req.query.days;
+    const results = [];
+    for (const target of selected) {
+      const period = parseStatsPeriod(periodArg, target.timezone);
+      if (!period) {
+        res.status(400).json({ error: 'invalid period' });
+        return;
+      }
+      results.push(await computeStats(target, period));
+    }
+    
+    res.json({ timestamp: new Date(clock.now()).toISOString(), targets: results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ status: 'healthy', ...(await storage.health()) });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'unhealthy', 
+      database: 'disconnected',
+      error: error.message 
+    });
+  }
+});
+
+// Prometheus 用のメトリクス（METRICS_TOKEN で認証、ユーザーIDは含まない）
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// スケジューラー（ターゲットごとに次の開始時刻ちょうどのタイマーを1つだけ置く）
+// スケジュールが変わるとすぐに予約し直し、待ち時間が長い場合も START_REPLAN_MS ごとに計算し直す
+// 再起動などで開始時刻を過ぎていても、START_GRACE_MINUTES 分以内でまだ始めていなければすぐに開始する
+const START_LOOKAHEAD_DAYS = 14;
+const START_REPLAN_MS = 60 * 60 * 1000;
+const START_GRACE_MINUTES = Number(process.env.START_GRACE_MINUTES ?? 15);
+if (!Number.isInteger(START_GRACE_MINUTES) || START_GRACE_MINUTES < 0 || START_GRACE_MINUTES > 180) {
+  console.error('❌ START_GRACE_MINUTES は0〜180の整数で指定してください');
+  process.exit(1);
+}
+
+const plannedStarts = new Map();
+const pendingPlans = new Map();
+// 実行中の開始（ユーザーID → 開始時刻）。途中で予約し直しても同じ開始を繰り返さないようにする
+const runningStarts = new Map();
+let schedulerRunning = false;
+let planSequence = 0;
+// 最後にエラーなく予約を計算した時刻（メトリクス用）
+let lastSchedulerTickAt = null;
+
+function cancelPlannedStart(userId) {
+  const planned = plannedStarts.get(userId);
+  if (planned) {
+    clock.clearTimeout(planned.timerId);
+    plannedStarts.delete(userId);
+  }
+}
+
+// スケジュール変更のたびに予約し直す（続けて変更されたときはまとめて1回計算する）
+function requestPlan(userId) {
+  if (!schedulerRunning || pendingPlans.has(userId)) {
+    return;
+  }
+  pendingPlans.set(userId, clock.setTimeout(() => {
+    pendingPlans.delete(userId);
+    const target = targetsByUserId.get(userId);
+    if (target) {
+      return planStart(target);
+    }
+  }, 0));
+}
+
+// 指定の開始時刻以降に起床確認を始めたか（再起動後はログで判定する）
+async function hasStartedSince(target, startAt) {
+  if (runningStarts.get(target.userId) >= startAt) {
+    return true;
+  }
+  const session = sessions.get(target.userId);
+  if (session?.startedAt && new Date(session.startedAt).getTime() >= startAt) {
+    return true;
+  }
+  const logs = await storage.loadLogs({ userId: target.userId, since: new Date(startAt), eventTypes: ['bot_started'] });
+  return logs.length > 0;
+}
+
+async function runScheduledStart(target, date, startTime, lateMs) {
+  console.log(`⏰ ${startTime} - Wakeup Botスタート (${target.key}, ${date})`);
+  const lateMinutes = Math.floor(lateMs / 60000);
+  if (lateMinutes > 0) {
+    console.log(`⏩ 開始時刻を過ぎていたため遅れて開始: ${target.key} (${lateMinutes}分遅れ)`);
+    await logEvent('start_caught_up', target.userId, `${date} ${startTime}, ${lateMinutes}min late`);
+  }
+  await logEvent('bot_started', target.userId, `Start time: ${startTime}`);
+  await startWakeupMessages(target, startTime);
+}
+
+// 次の開始を予約する（猶予内で過ぎている開始はここで実行する）
+async function planStart(target) {
+  const sequence = ++planSequence;
+  cancelPlannedStart(target.userId);
+  plannedStarts.set(target.userId, { sequence, timerId: null, date: null, time: null });
+  const isCurrent = () => plannedStarts.get(target.userId)?.sequence === sequence;
+  
+  let next = null;
+  try {
+    const schedule = await storage.loadSchedule(target.userId);
+    const today = calendarDay(todayIn(target.timezone));
+    // 日付が変わる直前の開始も猶予内なら拾えるよう前日から見る
+    for (let offset = -1; offset <= START_LOOKAHEAD_DAYS && !next; offset++) {
+      const date = today.add(offset, 'day').format('YYYY-MM-DD');
+      const { time } = resolveStartTime(target, schedule, calendarDay(date));
+      if (!time) {
+        continue;
+      }
+      const startAt = zonedDateTime(date, time, target.timezone).valueOf();
+      const lateMs = clock.now() - startAt;
+      if (lateMs < 0) {
+        next = { date, time, startAt };
+      } else if (lateMs <= START_GRACE_MINUTES * 60 * 1000 && !(await hasStartedSince(target, startAt))) {
+        if (!isCurrent()) {
+          return;
+        }
+        runningStarts.set(target.userId, startAt);
+        try {
+          await runScheduledStart(target, date, time, lateMs);
+        } finally {
+          runningStarts.delete(target.userId);
+        }
+        // 開始中に予約し直された場合は新しい予約に任せる
+        if (!isCurrent()) {
+          return;
+        }
+      }
+    }
+    lastSchedulerTickAt = clock.now();
+  } catch (error) {
+    console.error(`スケジューラーエラー [${target.key}]:`, error);
+    await logEvent('scheduler_error', target.userId, error.message);
+  }
+  if (!isCurrent()) {
+    return;
+  }
+  
+  const wakeAt = Math.min(next ? next.startAt : Infinity, clock.now() + START_REPLAN_MS);
+  Object.assign(plannedStarts.get(target.userId), {
+    date: next?.date || null,
+    time: next?.time || null,
+    timerId: clock.setTimeout(() => planStart(target), wakeAt - clock.now())
+  });
+}
+
+async function startScheduler() {
+  schedulerRunning = true;
+  await Promise.all(targets.map(planStart));
+  targets.forEach(target => {
+    const planned = plannedStarts.get(target.userId);
+    console.log(`📅 次の起床確認: ${target.key} ${planned?.time ? `${planned.date} ${planned.time}` : `なし（${START_LOOKAHEAD_DAYS}日以内）`}`);
+  });
+}
+
+function stopScheduler() {
+  schedulerRunning = false;
+  [...plannedStarts.keys()].forEach(cancelPlannedStart);
+  pendingPlans.forEach(clock.clearTimeout);
+  pendingPlans.clear();
+}
+
+// サーバー起動
+const port = process.env.PORT || 3000;
+
+async function startServer() {
+  try {
+    await initializeStorage();
+    await seedScheduleFromFile();
+    await resumeSessions();
+    await startScheduler();
+    schedule.scheduleJob('30 * * * *', checkMessageQuota);
+    checkMessageQuota();
+    schedule.scheduleJob('15 * * * *', pruneWebhookEvents);
+    pruneWebhookEvents();
+    
+    app.listen(port, () => {
+      console.log(`🚀 Server running on port ${port}`);
+      console.log(`💾 Storage: ${STORAGE_LABELS[storage.type]}`);
+      console.log(`📱 Target Users: ${targets.map(t => `${t.key} (${t.timezone})`).join(', ')}`);
+      console.log(`👥 Notify Users: ${allNotifyUserIds().length} users`);
+      console.log(`👑 Admin Users: ${adminUserIds.length} users`);
+      
+      if (!storage.durable) {
+        console.log('⚠️  注意: メモリストレージを使用中。再起動でデータが消失します。');
+        console.log('   保存するには STORAGE=file または DATABASE_URL 環境変数を設定してください。');
+      }
+    });
+  } catch (error) {
+    console.error('❌ サーバー起動エラー:', error);
+    process.exit(1);
+  }
+}
+
+// グレースフルシャットダウン
+async function shutdown(signal) {
+  console.log(`${signal}受信、サーバーを終了します...`);
+  stopScheduler();
+  await drainEventQueues();
+  await cancelPendingRetries();
+  sessions.forEach(stopSession);
+  await storage.close();
+  process.exit(0);
+}
+
+// スキーマ移行コマンド（node index.js migrate [status|dry-run]）
+async function runMigrationCommand(mode) {
+  if (storage.type !== 'postgres') {
+    console.error('❌ マイグレーションは PostgreSQL ストレージ（DATABASE_URL）でのみ使用できます');
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    if (mode === 'status') {
+      await storage.migrationStatus();
+    } else if (!mode || mode === 'dry-run') {
+      const pending = await storage.migrate({ dryRun: mode === 'dry-run' });
+      if (pending.length === 0) {
+        console.log('✅ 未適用のマイグレーションはありません');
+      }
+    } else {
+      console.error('使い方: node index.js migrate [status|dry-run]');
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ マイグレーションエラー:', error.message);
+    exitCode = 1;
+  }
+  await storage.close();
+  process.exit(exitCode);
+}
+
+// 直接起動した場合のみサーバーを立ち上げる（require 時はシミュレーション・テスト用に関数だけ公開）
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  if (process.argv[2] === 'migrate') {
+    runMigrationCommand(process.argv[3]);
+  } else {
+    startServer();
+  }
+}
+
+module.exports = {
+  app,
+  targets,
+  adminUserIds,
+  sessions,
+  setRuntime,
+  getStorage: () => storage,
+  initializeStorage,
+  seedScheduleFromFile,
+  handleEvent,
+  drainEventQueues,
+  checkMessageQuota,
+  startScheduler,
+  stopScheduler,
+  stopSession
+};
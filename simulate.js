@@ -0,0 +1,275 @@
+// 起床確認のシミュレーション（仮想時計と送信内容を記録する LINE クライアントで1日〜1週間を早回しする）
+// 使い方: node simulate.js [--start YYYY-MM-DD] [--days N] [--scenario scenario.json] [--schedule schedule.json] [--verbose]
+//
+// scenario.json の例（at は "HH:mm" で毎日、"YYYY-MM-DD HH:mm" でその日時のみ。from はターゲットのキー / admin / ユーザーID）
+// {
+//   "events": [
+//     { "at": "2026-10-20 07:00", "from": "admin", "text": "変更 明日 6:30" },
+//     { "at": "08:12", "from": "default", "text": "起きた" },
+//     { "at": "08:13", "from": "default", "text": "{answer}" }
+//   ]
+// }
+// text の {answer} は出題中のチャレンジの正解に置き換える
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const SIMULATION_ADMIN_ID = 'Usimulationadmin';
+
+// 仮想時計（advanceTo で指定時刻までのタイマーを期限順に実行する）
+function createVirtualClock(startMs) {
+  let current = startMs;
+  let nextId = 1;
+  const timers = new Map();
+
+  function addTimer(callback, ms, interval) {
+    const id = nextId++;
+    timers.set(id, { due: current + Math.max(0, ms), callback, interval });
+    return id;
+  }
+
+  return {
+    now: () => current,
+    setTimeout: (callback, ms) => addTimer(callback, ms, null),
+    clearTimeout: id => timers.delete(id),
+    // 0分間隔のインターバルで無限ループしないよう最低1秒にする
+    setInterval: (callback, ms) => addTimer(callback, ms, Math.max(1000, ms)),
+    clearInterval: id => timers.delete(id),
+
+    async advanceTo(targetMs) {
+      for (;;) {
+        let nextTimerId = null;
+        for (const [id, timer] of timers) {
+          if (timer.due <= targetMs && (nextTimerId === null || timer.due < timers.get(nextTimerId).due)) {
+            nextTimerId = id;
+          }
+        }
+        if (nextTimerId === null) {
+          break;
+        }
+
+        const timer = timers.get(nextTimerId);
+        current = timer.due;
+        if (timer.interval) {
+          timer.due += timer.interval;
+        } else {
+          timers.delete(nextTimerId);
+        }
+        await timer.callback();
+        // await されていない送信なども済ませてから次へ進む
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      current = Math.max(current, targetMs);
+    }
+  };
+}
+
+// 送信せずに記録する LINE クライアント（replyToken はシミュレーターが発行したものを宛先に戻す）
+function createRecordingClient(clock, { displayNames = {} } = {}) {
+  const outbox = [];
+  const replyTargets = new Map();
+
+  function record(type, to, messages) {
+    outbox.push({ at: clock.now(), type, to, messages: Array.isArray(messages) ? messages : [messages] });
+  }
+
+  return {
+    outbox,
+    replyTargets,
+    async pushMessage(to, messages) {
+      record('push', to, messages);
+    },
+    async replyMessage(replyToken, messages) {
+      record('reply', replyTargets.get(replyToken) || replyToken, messages);
+    },
+    async multicast(to, messages) {
+      to.forEach(userId => record('push', userId, messages));
+    },
+    async getProfile(userId) {
+      return { userId, displayName: displayNames[userId] || userId };
+    },
+    setRequestOptionOnce() {},
+    async getTargetLimitForAdditionalMessages() {
+      return { type: 'none' };
+    },
+    async getNumberOfMessagesSentThisMonth() {
+      return { totalUsage: outbox.filter(item => item.type === 'push').length };
+    }
+  };
+}
+
+function formatMessage(message) {
+  let text;
+  if (message.type === 'text') {
+    text = message.text;
+  } else if (message.type === 'flex') {
+    text = `[Flex] ${message.altText}`;
+  } else {
+    text = `[${message.type}]`;
+  }
+  if (message.quickReply) {
+    text += ` [${message.quickReply.items.map(item => item.action.label).join(' | ')}]`;
+  }
+  return text.replace(/\n/g, '\n                    ');
+}
+
+function parseArgs(argv) {
+  const options = { days: 1, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (['--start', '--days', '--scenario', '--schedule'].includes(arg) && argv[i + 1]) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`不明な引数: ${arg}`);
+    }
+  }
+  options.days = Number(options.days);
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > 31) {
+    throw new Error('--days は1〜31で指定してください');
+  }
+  return options;
+}
+
+// シナリオのイベントを日時に展開する（HH:mm は毎日）
+function expandEvents(events, start, days, zone) {
+  const expanded = [];
+  events.forEach(event => {
+    const daily = /^\d{1,2}:\d{2}$/.test(event.at);
+    for (let day = 0; day < (daily ? days : 1); day++) {
+      const at = daily
+        ? dayjs.tz(`${start.add(day, 'day').format('YYYY-MM-DD')} ${event.at.padStart(5, '0')}`, zone)
+        : dayjs.tz(event.at, zone);
+      if (!at.isValid()) {
+        throw new Error(`シナリオの日時が正しくありません: ${event.at}`);
+      }
+      expanded.push({ ...event, at: at.valueOf() });
+    }
+  });
+  return expanded.sort((a, b) => a.at - b.at);
+}
+
+async function runSimulation(options) {
+  // 本番のデータベースや LINE には触れない
+  process.env.STORAGE = 'memory';
+  process.env.LINE_CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN || 'simulation';
+  process.env.LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || 'simulation';
+  process.env.ADMIN_USER_IDS = process.env.ADMIN_USER_IDS || SIMULATION_ADMIN_ID;
+  if (options.schedule) {
+    process.env.SCHEDULE_FILE = path.resolve(options.schedule);
+  }
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  if (!options.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const bot = require('./index');
+  const zone = process.env.TIMEZONE || 'Asia/Tokyo';
+  const start = options.start ? dayjs.tz(options.start, zone) : dayjs().tz(zone).startOf('day');
+  if (!start.isValid()) {
+    throw new Error(`--start の日付が正しくありません: ${options.start}`);
+  }
+  const end = start.add(options.days, 'day');
+
+  const names = { [SIMULATION_ADMIN_ID]: 'admin' };
+  bot.targets.forEach(target => {
+    names[target.userId] = target.key;
+  });
+  const resolveSender = from => {
+    if (from === 'admin') {
+      return bot.adminUserIds[0];
+    }
+    const target = bot.targets.find(t => t.key === from);
+    return target ? target.userId : from;
+  };
+
+  const clock = createVirtualClock(start.valueOf());
+  const client = createRecordingClient(clock, { displayNames: names });
+  bot.setRuntime({ clock, client });
+
+  await bot.initializeStorage();
+  await bot.seedScheduleFromFile();
+  await bot.startScheduler();
+
+  const scenario = options.scenario ? JSON.parse(fs.readFileSync(options.scenario, 'utf8')) : { events: [] };
+  const pending = expandEvents(scenario.events || [], start, options.days, zone);
+  const incoming = [];
+  let replyCount = 0;
+
+  for (let minute = start; minute.isBefore(end); minute = minute.add(1, 'minute')) {
+    await clock.advanceTo(minute.valueOf());
+
+    while (pending.length > 0 && pending[0].at <= minute.valueOf()) {
+      const event = pending.shift();
+      const userId = resolveSender(event.from);
+      const challenge = bot.sessions.get(userId)?.challenge;
+      const text = event.text.replace('{answer}', challenge ? challenge.answer : '');
+      const replyToken = `simulation-${++replyCount}`;
+      client.replyTargets.set(replyToken, userId);
+      incoming.push({ at: clock.now(), from: userId, text });
+      await bot.handleEvent({
+        type: 'message',
+        replyToken,
+        source: { type: 'user', userId },
+        timestamp: clock.now(),
+        message: { type: 'text', id: replyToken, text }
+      });
+    }
+  }
+  await clock.advanceTo(end.valueOf());
+  bot.stopScheduler();
+  bot.sessions.forEach(bot.stopSession);
+
+  const logs = await bot.getStorage().loadLogs();
+  console.log = originalLog;
+  console.warn = originalWarn;
+
+  return { start, end, zone, names, outbox: client.outbox, incoming, logs };
+}
+
+function printReport({ start, end, zone, names, outbox, incoming, logs }) {
+  const name = userId => names[userId] || userId;
+  const lines = [
+    ...incoming.map(item => ({ at: item.at, text: `💬 ${name(item.from)}: ${item.text}` })),
+    ...outbox.flatMap(item => item.messages.map(message => ({
+      at: item.at,
+      text: `${item.type === 'push' ? '📤' : '↩️ '} → ${name(item.to)}: ${formatMessage(message)}`
+    }))),
+    ...logs.map(log => ({
+      at: log.timestamp.getTime(),
+      text: `📝 [${log.eventType}] ${log.userId ? name(log.userId) : 'system'}${log.message ? `: ${log.message}` : ''}`
+    }))
+  ];
+  // 同時刻は受信 → 送信 → ログの順（sort は安定）
+  lines.sort((a, b) => a.at - b.at);
+
+  console.log(`🧪 シミュレーション ${start.format('YYYY-MM-DD HH:mm')} 〜 ${end.format('YYYY-MM-DD HH:mm')} (${zone})`);
+  lines.forEach(line => {
+    console.log(`${dayjs(line.at).tz(zone).format('MM/DD HH:mm:ss')}  ${line.text}`);
+  });
+  console.log(`\n送信 ${outbox.filter(item => item.type === 'push').length}件 / 返信 ${outbox.filter(item => item.type === 'reply').length}件 / ログ ${logs.length}件`);
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      printReport(await runSimulation(options));
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ シミュレーションエラー:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { createVirtualClock, createRecordingClient, runSimulation };
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const line = require('@line/bot-sdk');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+// to への送信を failures 回だけ statusCode で失敗させる
+function failingPush(to, statusCode, failures = Infinity) {
+  let failed = 0;
+  return original => ({
+    async pushMessage(recipient, messages) {
+      if (recipient === to && failed < failures) {
+        failed += 1;
+        throw new line.HTTPError('Request failed', statusCode, 'error', {});
+      }
+      return original.pushMessage(recipient, messages);
+    }
+  });
+}
+
+test('一時的な送信エラーは呼び出し元を待たせずにタイマーで再送する', { timeout: 5000 }, async t => {
+  const bot = await startBot({ client: failingPush(WATCHER_ID, 500, 1) });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:01');
+  // 再送の待ち時間を待たずに返信まで終わる
+  assert.match(await bot.send(TARGET_ID, '起きた'), /おはよう/);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+
+  await bot.clock.advanceTo(bot.clock.now() + 2000);
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+  assert.deepEqual(await bot.storage().listDeadLetters(), []);
+});
+
+test('再送しても届かなければ配信失敗として保存し、管理者が再送できる', { timeout: 5000 }, async t => {
+  let down = true;
+  const bot = await startBot({
+    client: original => ({
+      async pushMessage(to, messages) {
+        if (to === WATCHER_ID && down) {
+          throw new line.HTTPError('Request failed', 503, 'error', {});
+        }
+        return original.pushMessage(to, messages);
+      }
+    })
+  });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  await bot.clock.advanceTo(bot.clock.now() + 42 * 1000);
+  const [letter] = await bot.storage().listDeadLetters();
+  assert.equal(letter.kind, 'notification');
+  assert.equal(letter.attempts, 4);
+  assert.match(await bot.send(ADMIN_ID, '配信状況'), new RegExp(`#${letter.id}`));
+
+  down = false;
+  assert.match(await bot.send(ADMIN_ID, `再送 ${letter.id}`), new RegExp(`#${letter.id}`));
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+  assert.equal((await bot.logs('push_resent')).length, 1);
+});
+
+test('再送しても届かない送信エラーはすぐに配信失敗にする', async t => {
+  const bot = await startBot({ client: failingPush(TARGET_ID, 400) });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:00');
+  const [letter] = await bot.storage().listDeadLetters();
+  assert.equal(letter.kind, 'wakeup');
+  assert.equal(letter.attempts, 1);
+  assert.equal((await bot.logs('wakeup_error')).length, 1);
+});
+
+test('通知先が複数なら multicast でまとめて送る', async t => {
+  const multicasts = [];
+  const bot = await startBot({
+    env: { NOTIFY_USER_IDS: `${WATCHER_ID},Uwatcher2,Uwatcher3` },
+    client: original => ({
+      async multicast(to, messages) {
+        multicasts.push(to);
+        return original.multicast(to, messages);
+      }
+    })
+  });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.deepEqual(multicasts, [[WATCHER_ID, 'Uwatcher2', 'Uwatcher3']]);
+});
+
+test('送信数が上限の80%と95%に達したら月に1回ずつ管理者に知らせる', async t => {
+  let used = 85;
+  const bot = await startBot({
+    scheduler: false,
+    client: () => ({
+      async getTargetLimitForAdditionalMessages() {
+        return { type: 'limited', value: 100 };
+      },
+      async getNumberOfMessagesSentThisMonth() {
+        return { totalUsage: used };
+      }
+    })
+  });
+  t.after(bot.stop);
+
+  await bot.bot.checkMessageQuota();
+  await bot.bot.checkMessageQuota();
+  assert.deepEqual(bot.pushes(ADMIN_ID), [
+    '⚠️ 今月のメッセージ送信数が上限の80%に達しました（85 / 100通）\n上限に達すると起床確認や通知が届かなくなります。'
+  ]);
+
+  used = 96;
+  await bot.bot.checkMessageQuota();
+  assert.equal(bot.pushes(ADMIN_ID).length, 2);
+  assert.match(bot.pushes(ADMIN_ID)[1], /上限の95%に達しました（96 \/ 100通）/);
+  assert.match(await bot.send(ADMIN_ID, '配信状況'), /96/);
+
+  // 翌月はまた知らせる
+  await bot.clock.advanceTo(bot.timeOf('2026-11-01 12:00'));
+  await bot.bot.checkMessageQuota();
+  assert.equal(bot.pushes(ADMIN_ID).length, 3);
+});
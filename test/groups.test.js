@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+const GROUP = { type: 'group', groupId: 'Cgroup' };
+
+test('ターゲットのグループでの発言は起床確認や申請として扱わない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:02');
+  for (const text of ['起きた', 'あと10分', '休み 明日', 'なに']) {
+    assert.equal(await bot.send(TARGET_ID, text, GROUP), '');
+  }
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).snoozedMinutes, 0);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  assert.equal(bot.pushes(ADMIN_ID).length, 0);
+
+  // 1対1のトークでは従来どおり
+  assert.match(await bot.send(TARGET_ID, '起きた'), /おはよう/);
+});
+
+test('グループに登録すると通知がグループにも届き、解除で止まる', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.bot.handleEvent({ type: 'join', replyToken: 'join', source: GROUP });
+  assert.match(await bot.send(ADMIN_ID, 'グループ登録', GROUP), /このグループに起床・未返信の通知を送ります/);
+  assert.match(await bot.send(ADMIN_ID, 'グループ一覧'), /Cgroup/);
+
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.equal(bot.pushes('Cgroup').length, 1);
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+
+  await bot.send(ADMIN_ID, 'グループ解除', GROUP);
+  await bot.advanceTo('2026-10-21 08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.equal(bot.pushes('Cgroup').length, 1);
+  assert.equal(bot.pushes(WATCHER_ID).length, 2);
+});
+
+test('グループでは管理者以外の発言に反応しない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  assert.equal(await bot.send('Ustranger', '一覧', GROUP), '');
+  assert.equal(await bot.send(WATCHER_ID, 'ヘルプ', GROUP), '');
+  assert.match(await bot.send(ADMIN_ID, 'ヘルプ', GROUP), /コマンド/);
+});
@@ -0,0 +1,126 @@
+// テスト用の起動（テストごとに index.js を読み込み直し、simulate.js の仮想時計と記録用の LINE クライアントで動かす）
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { createVirtualClock, createRecordingClient } = require('../simulate');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const ZONE = 'Asia/Tokyo';
+const TARGET_ID = 'Utarget';
+const WATCHER_ID = 'Uwatcher';
+const ADMIN_ID = 'Uadmin';
+const INDEX_PATH = require.resolve('../index');
+const ORIGINAL_ENV = { ...process.env };
+
+// 環境変数を毎回作り直す（env で上書き、undefined の値は削除）
+function resetEnv(env) {
+  Object.keys(process.env).forEach(key => delete process.env[key]);
+  Object.assign(process.env, ORIGINAL_ENV, {
+    LINE_CHANNEL_ACCESS_TOKEN: 'test',
+    LINE_CHANNEL_SECRET: 'test',
+    STORAGE: 'memory',
+    TIMEZONE: ZONE,
+    TARGET_USER_ID: TARGET_ID,
+    NOTIFY_USER_IDS: WATCHER_ID,
+    ADMIN_USER_IDS: ADMIN_ID
+  });
+  ['DATABASE_URL', 'TARGET_USERS', 'SCHEDULE_FILE', 'ADMIN_API_TOKEN', 'METRICS_TOKEN'].forEach(key => delete process.env[key]);
+  Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+}
+
+// start: "YYYY-MM-DD HH:mm"（ターゲットのタイムゾーン）
+// client: 記録用クライアントの元のメソッドを受け取り、差し替えるメソッドを返す関数（送信失敗の再現など）
+async function startBot({ start = '2026-10-20 06:00', env = {}, client: wrap = () => ({}), scheduler = true } = {}) {
+  resetEnv(env);
+  delete require.cache[INDEX_PATH];
+
+  // 送信失敗などを再現するテストもあるので、ログはエラーも含めて出さない
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  const startDate = start.slice(0, 10);
+  const timeOf = value => dayjs.tz(value.includes('-') ? value : `${startDate} ${value}`, ZONE).valueOf();
+  const bot = require('../index');
+  const clock = createVirtualClock(timeOf(start));
+  const client = createRecordingClient(clock);
+  Object.assign(client, wrap({ ...client }));
+  bot.setRuntime({ clock, client });
+  try {
+    await bot.initializeStorage();
+    if (scheduler) {
+      await bot.startScheduler();
+    }
+  } catch (error) {
+    Object.assign(console, originalConsole);
+    throw error;
+  }
+
+  let replyCount = 0;
+  let messageCount = 0;
+
+  // 返信として送られたテキストを返す
+  async function dispatch(event) {
+    const replyToken = `test-${++replyCount}`;
+    client.replyTargets.set(replyToken, replyToken);
+    const before = client.outbox.length;
+    await bot.handleEvent({ replyToken, timestamp: clock.now(), ...event });
+    return client.outbox.slice(before)
+      .filter(item => item.type === 'reply' && item.to === replyToken)
+      .flatMap(item => item.messages.map(message => message.text ?? message.altText));
+  }
+
+  return {
+    bot,
+    clock,
+    client,
+    timeOf,
+    storage: () => bot.getStorage(),
+
+    // "HH:mm"（開始日）または "YYYY-MM-DD HH:mm" まで時計を進める
+    advanceTo: value => clock.advanceTo(timeOf(value)),
+
+    // source: { type: 'group', groupId } などを指定するとグループからの発言になる
+    async send(userId, text, source = { type: 'user' }) {
+      const replies = await dispatch({
+        type: 'message',
+        source: { ...source, userId },
+        message: { type: 'text', id: `message-${++messageCount}`, text }
+      });
+      return replies.join('\n');
+    },
+
+    async postback(userId, data) {
+      return (await dispatch({ type: 'postback', source: { type: 'user', userId }, postback: { data } })).join('\n');
+    },
+
+    // プッシュで届いたテキスト（to で宛先を絞る）
+    pushes(to = null) {
+      return client.outbox
+        .filter(item => item.type === 'push' && (to === null || item.to === to))
+        .flatMap(item => item.messages.map(message => message.text ?? message.altText));
+    },
+
+    async logs(eventType = null) {
+      const logs = await bot.getStorage().loadLogs();
+      return eventType ? logs.filter(log => log.eventType === eventType) : logs;
+    },
+
+    async stop() {
+      bot.stopScheduler();
+      bot.sessions.forEach(bot.stopSession);
+      Object.assign(console, originalConsole);
+    }
+  };
+}
+
+module.exports = { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID, ZONE };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, ADMIN_ID } = require('./harness');
+
+const OTHER_ADMIN_ID = 'Uadmin2';
+
+test('スケジュールの変更を実行者と変更前後の値つきで記録し、履歴で新しい順に表示する', async t => {
+  const bot = await startBot({ env: { ADMIN_USER_IDS: `${ADMIN_ID},${OTHER_ADMIN_ID}` }, scheduler: false });
+  t.after(bot.stop);
+
+  assert.match(await bot.send(ADMIN_ID, '履歴'), /変更履歴はありません/);
+  await bot.send(ADMIN_ID, '除外 明日');
+  await bot.clock.advanceTo(bot.timeOf('06:10'));
+  await bot.send(OTHER_ADMIN_ID, '変更 明後日 7:00');
+
+  const [latest, first] = await bot.storage().listScheduleChanges({ userId: TARGET_ID, limit: 20 });
+  assert.equal(latest.actor, OTHER_ADMIN_ID);
+  assert.equal(latest.field, 'change');
+  assert.equal(latest.key, '2026-10-22');
+  assert.equal(latest.before, null);
+  assert.equal(latest.after, '07:00');
+  assert.equal(first.actor, ADMIN_ID);
+  assert.equal(first.before, false);
+  assert.equal(first.after, true);
+
+  assert.equal(await bot.send(ADMIN_ID, '履歴 default'), [
+    '📜 スケジュールの変更履歴（新しい順）',
+    '',
+    '10/20 06:10 Uadmin2「変更 明後日 7:00」',
+    '・default 2026/10/22(木) 時刻 なし→07:00',
+    '',
+    '10/20 06:00 Uadmin「除外 明日」',
+    '・default 2026/10/21(水) 除外に追加'
+  ].join('\n'));
+  assert.match(await bot.send(ADMIN_ID, '履歴 nope'), /ターゲットが見つかりません/);
+});
+
+test('取り消しは自分の直前の変更だけを戻し、その後に他の人が変えた項目があれば戻さない', async t => {
+  const bot = await startBot({ env: { ADMIN_USER_IDS: `${ADMIN_ID},${OTHER_ADMIN_ID}` }, scheduler: false });
+  t.after(bot.stop);
+
+  assert.match(await bot.send(ADMIN_ID, '取り消し'), /取り消せる変更はありません/);
+  await bot.send(ADMIN_ID, '除外 明日');
+  await bot.send(OTHER_ADMIN_ID, '変更 明後日 7:00');
+  await bot.send(OTHER_ADMIN_ID, '除外削除 明日');
+
+  assert.match(await bot.send(ADMIN_ID, '取り消し'), /「除外 明日」を取り消せませんでした/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, []);
+
+  assert.match(await bot.send(OTHER_ADMIN_ID, '取り消し'), /「除外削除 明日」を取り消しました/);
+  assert.match(await bot.send(ADMIN_ID, '取り消し'), /「除外 明日」を取り消しました/);
+  const schedule = await bot.storage().loadSchedule(TARGET_ID);
+  assert.deepEqual(schedule.exclude, []);
+  assert.deepEqual(schedule.change, { '2026-10-22': '07:00' });
+
+  assert.match(await bot.send(ADMIN_ID, '履歴'), /Uadmin「除外 明日」\n・default 2026\/10\/21\(水\) 除外に追加（取り消し済み）/);
+  assert.equal((await bot.logs('schedule_undone')).length, 2);
+});
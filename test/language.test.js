@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+// LINE のプロフィールの言語を userId ごとに返す
+function profileLanguages(languages) {
+  return () => ({
+    async getProfile(userId) {
+      return { userId, displayName: userId, language: languages[userId] || 'ja' };
+    }
+  });
+}
+
+test('言語コマンドで表示言語を切り替え、英語のコマンド名も使える', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  assert.match(await bot.send(ADMIN_ID, '言語'), /表示言語: 日本語/);
+  assert.match(await bot.send(ADMIN_ID, 'language fr'), /対応していない言語です/);
+  assert.equal(await bot.send(ADMIN_ID, 'language en'), '🌐 Language set to English.');
+
+  assert.match(await bot.send(ADMIN_ID, 'help'), /^🤖 Commands\n\nlist \[target\]/);
+  assert.match(await bot.send(ADMIN_ID, 'exclude tomorrow'), /Added to excluded dates/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, ['2026-10-21']);
+  // 日本語のコマンド名もそのまま使える
+  assert.match(await bot.send(ADMIN_ID, '除外削除 明日'), /excluded dates/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, []);
+});
+
+test('設定していないユーザーは LINE のプロフィールの言語で受け取る', async t => {
+  const bot = await startBot({ client: profileLanguages({ [TARGET_ID]: 'en', [WATCHER_ID]: 'en', Unew: 'en' }) });
+  t.after(bot.stop);
+
+  assert.match(await bot.send('Unew', 'hello'), /invite code/i);
+
+  await bot.advanceTo('08:00');
+  assert.deepEqual(bot.pushes(TARGET_ID), ['Good morning~! Are you up?? 👀']);
+  await bot.send(TARGET_ID, '起きた');
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['🟢 Utarget is up! (awake)']);
+});
+
+test('言語を設定するとプロフィールの言語より優先する', async t => {
+  const bot = await startBot({ client: profileLanguages({ [WATCHER_ID]: 'en' }) });
+  t.after(bot.stop);
+
+  assert.match(await bot.send(WATCHER_ID, 'language ja'), /日本語/);
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['🟢 Utarget が起きました！（起きた）']);
+});
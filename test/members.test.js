@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+async function createInvite(bot, args) {
+  return /招待コード: (\S+)/.exec(await bot.send(ADMIN_ID, `招待 ${args}`))[1];
+}
+
+test('環境変数のユーザーを初期のメンバーとして登録する', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  const members = await bot.send(ADMIN_ID, 'ユーザー一覧');
+  assert.match(members, /#1 管理者: Uadmin/);
+  assert.match(members, /#2 ターゲット \(default\): Utarget/);
+  assert.match(members, /#3 通知 \(default\): Uwatcher/);
+});
+
+test('未登録のユーザーには招待コードを求める', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  await bot.bot.handleEvent({ type: 'follow', replyToken: 'follow', source: { type: 'user', userId: 'Unew' } });
+  assert.match(bot.client.outbox.at(-1).messages[0].text, /招待コード（6文字）を送ってください/);
+  assert.match(await bot.send('Unew', '一覧'), /招待コード（6文字）を送ってください/);
+  assert.match(await bot.send('Unew', 'ABCDEF'), /招待コードが正しくないか/);
+});
+
+test('招待コードで申請した通知先を承認すると通知が届く', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  const code = await createInvite(bot, '通知');
+  assert.match(await bot.send('Unew', code.toLowerCase()), /管理者の承認をお待ちください/);
+  assert.match(await bot.send('Unew', '一覧'), /承認待ち/);
+  // コードは1回限り
+  assert.match(await bot.send('Uother', code), /招待コードが正しくないか/);
+
+  const [notice] = bot.client.outbox.filter(item => item.type === 'push' && item.to === ADMIN_ID);
+  const approve = notice.messages[0].quickReply.items[0].action.data;
+  assert.match(await bot.postback(ADMIN_ID, approve), /Unew さんを通知 \(全員\)として登録しました/);
+  assert.match(bot.pushes('Unew')[0], /登録されました/);
+
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.equal(bot.pushes('Unew').at(-1), '🟢 Utarget が起きました！（起きた）');
+  assert.equal((await bot.logs('member_approved')).length, 1);
+});
+
+test('承認したターゲットは再起動なしで起床確認の対象になる', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  const code = await createInvite(bot, 'ターゲット sub');
+  await bot.send('Usub', code);
+  assert.match(await bot.send(ADMIN_ID, '承認 4'), /ターゲット \(sub\)として登録しました/);
+  assert.match(await bot.send(ADMIN_ID, '一覧'), /default, sub/);
+
+  await bot.advanceTo('08:00');
+  assert.equal(bot.pushes('Usub').at(-1), 'おはよう〜！起きてる？？👀');
+});
+
+test('却下した申請と削除したメンバーには届かない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send('Unew', await createInvite(bot, '通知'));
+  assert.match(await bot.send(ADMIN_ID, '却下 4'), /却下/);
+  assert.match(bot.pushes('Unew').at(-1), /参加申請は承認されませんでした/);
+
+  assert.match(await bot.send(ADMIN_ID, 'ユーザー削除 1'), /最後の管理者は削除できません/);
+  assert.match(await bot.send(ADMIN_ID, 'ユーザー削除 3'), /Uwatcher さんの通知 \(default\)を削除しました/);
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  assert.equal(bot.pushes('Unew').length, 1);
+});
+
+test('招待コードは有効期限を過ぎると使えない', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  const code = await createInvite(bot, '管理者');
+  await bot.clock.advanceTo(bot.clock.now() + 73 * 60 * 60 * 1000);
+  assert.match(await bot.send('Unew', code), /有効期限が切れています/);
+  assert.equal((await bot.storage().loadMembers()).length, 3);
+});
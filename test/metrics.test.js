@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startBot, TARGET_ID } = require('./harness');
+
+// app を空いているポートで立てて GET する
+async function get(app, path, headers = {}) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, path, headers }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      }).on('error', reject);
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const METRICS_TOKEN = 'metrics-secret';
+const auth = { authorization: `Bearer ${METRICS_TOKEN}` };
+
+test('メトリクスに起床確認の件数と進行中のセッション数が出る', async t => {
+  const bot = await startBot({ env: { METRICS_TOKEN } });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:00');
+  let { status, body } = await get(bot.bot.app, '/metrics', auth);
+  assert.equal(status, 200);
+  assert.match(body, /^wakeup_bot_wakeups_started_total\{target="[^"]+"\} 1$/m);
+  assert.match(body, /^wakeup_bot_active_sessions 1$/m);
+  assert.doesNotMatch(body, new RegExp(TARGET_ID));
+
+  await bot.send(TARGET_ID, '起きた');
+  ({ body } = await get(bot.bot.app, '/metrics', auth));
+  assert.match(body, /^wakeup_bot_responses_total\{target="[^"]+",result="awake"\} 1$/m);
+  assert.match(body, /^wakeup_bot_active_sessions 0$/m);
+});
+
+test('トークンなしのメトリクス取得を拒否する', async t => {
+  const bot = await startBot({ env: { METRICS_TOKEN }, scheduler: false });
+  t.after(bot.stop);
+
+  assert.equal((await get(bot.bot.app, '/metrics')).status, 401);
+  assert.equal((await get(bot.bot.app, '/metrics', { authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await get(bot.bot.app, '/metrics', auth)).status, 200);
+});
+
+test('METRICS_TOKEN が未設定ならメトリクスを公開しない', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  assert.equal((await get(bot.bot.app, '/metrics')).status, 404);
+});
+
+test('メトリクスの取得はレート制限に数えない', async t => {
+  const bot = await startBot({ env: { METRICS_TOKEN }, scheduler: false });
+  t.after(bot.stop);
+
+  for (let i = 0; i < 110; i++) {
+    assert.equal((await get(bot.bot.app, '/metrics', auth)).status, 200);
+  }
+  assert.equal((await get(bot.bot.app, '/health')).status, 200);
+});
@@ -0,0 +1,137 @@
+// PostgreSQL ストレージのテスト（TEST_DATABASE_URL を指定した場合のみ、public スキーマを作り直すので専用のデータベースを使う）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const { startBot } = require('./harness');
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+const skip = !databaseUrl && 'TEST_DATABASE_URL が未設定';
+
+// DB とサーバーのタイムゾーンをずらして、期間の比較がずれないことを確かめる
+const DATABASE_TIMEZONE = 'America/New_York';
+
+async function resetDatabase() {
+  const pool = new Pool({ connectionString: databaseUrl });
+  try {
+    await pool.query('DROP SCHEMA public CASCADE');
+    await pool.query('CREATE SCHEMA public');
+  } finally {
+    await pool.end();
+  }
+}
+
+async function query(text, values) {
+  const pool = new Pool({ connectionString: databaseUrl, options: `-c timezone=${DATABASE_TIMEZONE}` });
+  try {
+    return await pool.query(text, values);
+  } finally {
+    await pool.end();
+  }
+}
+
+function startPostgresBot(env = {}) {
+  const url = new URL(databaseUrl);
+  url.searchParams.set('options', `-c timezone=${DATABASE_TIMEZONE}`);
+  return startBot({ env: { STORAGE: 'postgres', DATABASE_URL: url.toString(), ...env } });
+}
+
+test('ターゲット未設定の新しいデータベースでもスキーマ移行できる', { skip }, async t => {
+  await resetDatabase();
+  const bot = await startPostgresBot({ TARGET_USER_ID: undefined, NOTIFY_USER_IDS: undefined });
+  t.after(async () => {
+    await bot.stop();
+    await bot.storage().close();
+  });
+
+  const { rows } = await query('SELECT MAX(version) AS version FROM schema_migrations');
+  assert.ok(rows[0].version >= 12);
+});
+
+test('ターゲット未設定で移行前の設定が残っていても退避してスキーマ移行できる', { skip }, async t => {
+  await resetDatabase();
+  // スキーマ移行を導入する前の形
+  await query(`CREATE TABLE schedule_settings (
+    id SERIAL PRIMARY KEY,
+    date VARCHAR(10) UNIQUE NOT NULL,
+    is_excluded BOOLEAN DEFAULT FALSE,
+    custom_hour INTEGER,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  )`);
+  await query("INSERT INTO schedule_settings (date, is_excluded, custom_hour) VALUES ('2024-01-06', TRUE, NULL), ('2024-01-08', FALSE, 7)");
+
+  const bot = await startPostgresBot({ TARGET_USER_ID: undefined, NOTIFY_USER_IDS: undefined });
+  t.after(async () => {
+    await bot.stop();
+    await bot.storage().close();
+  });
+
+  const { rows } = await query('SELECT MAX(version) AS version FROM schema_migrations');
+  assert.ok(rows[0].version >= 12);
+  assert.equal((await query('SELECT COUNT(*)::INTEGER AS count FROM schedule_settings')).rows[0].count, 0);
+  const archived = await query('SELECT date, is_excluded, custom_time FROM schedule_settings_unassigned ORDER BY date');
+  assert.deepEqual(archived.rows, [
+    { date: '2024-01-06', is_excluded: true, custom_time: null },
+    { date: '2024-01-08', is_excluded: false, custom_time: '07:00' }
+  ]);
+});
+
+test('ログの期間指定は DB のタイムゾーンに関係なく時刻で比べる', { skip }, async t => {
+  await resetDatabase();
+  const bot = await startPostgresBot();
+  t.after(async () => {
+    await bot.stop();
+    await bot.storage().close();
+  });
+
+  await bot.advanceTo('08:30');
+  const since = new Date(bot.timeOf('08:00'));
+  const logs = await bot.storage().loadLogs({ userId: 'Utarget', since, eventTypes: ['bot_started'] });
+  assert.equal(logs.length, 1);
+  assert.equal(new Date(logs[0].timestamp).getTime(), bot.timeOf('08:00'));
+  assert.equal((await bot.storage().loadLogs({ since: new Date(bot.timeOf('08:01')), eventTypes: ['bot_started'] })).length, 0);
+});
+
+test('タイムゾーンなしで記録した既存のログは DB のタイムゾーンの時刻として移行する', { skip }, async t => {
+  await resetDatabase();
+  const first = await startPostgresBot();
+  await first.stop();
+  await first.storage().close();
+
+  // 移行前の形に戻して NOW() で記録する
+  await query('ALTER TABLE bot_logs ALTER COLUMN created_at TYPE TIMESTAMP');
+  await query("INSERT INTO bot_logs (event_type, user_id, created_at) VALUES ('legacy', 'Utarget', NOW())");
+  await query('DELETE FROM schema_migrations WHERE version = 12');
+  const insertedAt = Date.now();
+
+  const bot = await startPostgresBot();
+  t.after(async () => {
+    await bot.stop();
+    await bot.storage().close();
+  });
+  const [legacy] = await bot.storage().loadLogs({ eventTypes: ['legacy'] });
+  assert.ok(Math.abs(new Date(legacy.timestamp).getTime() - insertedAt) < 60 * 1000);
+});
+
+test('スケジュールの変更履歴と取り消しを PostgreSQL にも同じ形で保存する', { skip }, async t => {
+  await resetDatabase();
+  const bot = await startPostgresBot();
+  t.after(async () => {
+    await bot.stop();
+    await bot.storage().close();
+  });
+
+  await bot.send('Uadmin', '除外 明日');
+  const [change] = await bot.storage().listScheduleChanges({ userId: 'Utarget', limit: 20 });
+  assert.equal(change.actor, 'Uadmin');
+  assert.equal(change.field, 'exclude');
+  assert.equal(change.key, '2026-10-21');
+  assert.equal(change.before, false);
+  assert.equal(change.after, true);
+
+  assert.match(await bot.send('Uadmin', '取り消し'), /「除外 明日」を取り消しました/);
+  const [revert, original] = await bot.storage().listScheduleChanges({ userId: 'Utarget', limit: 20 });
+  assert.equal(revert.revertOf, original.id);
+  assert.ok(original.revertedAt);
+  assert.deepEqual((await bot.storage().loadSchedule('Utarget')).exclude, []);
+});
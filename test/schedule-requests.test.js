@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+test('開始前の「起きた」で今日の起床確認をなしにして知らせる', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('06:30');
+  assert.match(await bot.send(TARGET_ID, '起きた'), /早起き/);
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+
+  await bot.advanceTo('09:30');
+  assert.equal(bot.pushes(TARGET_ID).length, 0);
+  assert.equal((await bot.logs('bot_started')).length, 0);
+
+  // 翌日は通常どおり
+  await bot.advanceTo('2026-10-21 08:00');
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+});
+
+test('開始の数時間より前の「起きた」は受け付けない', async t => {
+  const bot = await startBot({ start: '2026-10-20 03:00' });
+  t.after(bot.stop);
+
+  await bot.send(TARGET_ID, '起きた');
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  await bot.advanceTo('08:00');
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+});
+
+test('休みの申請を承認するとスケジュールに反映し、取り消しで元に戻る', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  assert.match(await bot.send(TARGET_ID, '休み 明日'), /管理者に確認するね/);
+  assert.match(bot.pushes(ADMIN_ID).join('\n'), /#1 休み 2026\/10\/21/);
+
+  assert.match(await bot.send(ADMIN_ID, '申請承認 1'), /申請 #1 を承認しました/);
+  assert.match(bot.pushes(TARGET_ID).at(-1), /申請が承認されたよ/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, ['2026-10-21']);
+
+  assert.match(await bot.send(ADMIN_ID, '取り消し'), /申請 #1 の承認/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, []);
+
+  await bot.advanceTo('2026-10-21 08:00');
+  assert.equal((await bot.logs('bot_started')).length, 2);
+});
+
+test('承認済みの申請は取り消し前の状態にだけ戻す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(TARGET_ID, '休み 明日');
+  await bot.send(ADMIN_ID, '申請承認 1');
+  await bot.advanceTo('06:01');
+  await bot.send(ADMIN_ID, '変更 明後日 7:00');
+  await bot.send(ADMIN_ID, '取り消し');
+
+  // 直前の変更だけが戻り、承認した休みは残る
+  const schedule = await bot.storage().loadSchedule(TARGET_ID);
+  assert.deepEqual(schedule.exclude, ['2026-10-21']);
+  assert.equal(schedule.change['2026-10-22'], undefined);
+});
+
+test('遅らせる申請を却下するとスケジュールは変えずに知らせる', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(TARGET_ID, '遅らせる 明日 9:30');
+  assert.match(await bot.send(ADMIN_ID, '申請却下 1'), /却下/);
+  assert.match(bot.pushes(TARGET_ID).at(-1), /承認されなかった/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).change, {});
+  assert.match(await bot.send(ADMIN_ID, '申請承認 1'), /❌/);
+});
+
+test('遅らせる申請をボタンで承認すると、その日は申請した時刻に始まる', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(TARGET_ID, '遅らせる 明日 9:30');
+  assert.match(await bot.send(ADMIN_ID, '申請一覧'), /#1 default: 開始を遅らせる 2026\/10\/21\(水\) 09:30〜/);
+
+  const [notice] = bot.client.outbox.filter(item => item.type === 'push' && item.to === ADMIN_ID);
+  const approve = notice.messages[0].quickReply.items[0].action.data;
+  assert.match(await bot.postback(ADMIN_ID, approve), /申請 #1 を承認しました/);
+  // 同じボタンをもう一度押しても二重に反映しない
+  assert.match(await bot.postback(ADMIN_ID, approve), /承認待ちの申請 #1 はありません/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).change, { '2026-10-21': '09:30' });
+
+  await bot.advanceTo('2026-10-21 09:29');
+  assert.equal((await bot.logs('bot_started')).length, 1);
+  await bot.advanceTo('2026-10-21 09:30');
+  assert.equal((await bot.logs('bot_started')).length, 2);
+});
+
+test('形式が正しくない申請や早める申請は管理者に送らない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  assert.match(await bot.send(TARGET_ID, '遅らせる 明日'), /「休み 明日」「遅らせる 明日 9:30」のように送ると/);
+  assert.match(await bot.send(TARGET_ID, '休み 昨日'), /日付を認識できません/);
+  assert.match(await bot.send(TARGET_ID, '遅らせる 明日 7:00'), /07:00以降の開始になっています/);
+  assert.equal(bot.pushes(ADMIN_ID).length, 0);
+  assert.deepEqual(await bot.storage().listScheduleRequests(), []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startBot, TARGET_ID, ADMIN_ID } = require('./harness');
+
+test('開始時刻ちょうどに始め、それまでは毎分スケジュールを読まない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  const storage = bot.storage();
+  const loadSchedule = storage.loadSchedule;
+  let loads = 0;
+  storage.loadSchedule = (...args) => {
+    loads += 1;
+    return loadSchedule.apply(storage, args);
+  };
+
+  await bot.advanceTo('07:59');
+  assert.equal((await bot.logs('bot_started')).length, 0);
+  // 1時間ごとの計算し直しだけ
+  assert.ok(loads <= 2, `loadSchedule が ${loads} 回呼ばれた`);
+
+  await bot.advanceTo('08:00');
+  const [started] = await bot.logs('bot_started');
+  assert.equal(new Date(started.timestamp).getTime(), bot.timeOf('08:00'));
+});
+
+test('スケジュールを変えるとすぐに予約し直す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('06:30');
+  await bot.send(ADMIN_ID, '変更 今日 7:00');
+  await bot.advanceTo('07:00');
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+  await bot.send(TARGET_ID, '起きた');
+
+  await bot.send(ADMIN_ID, '除外 明日');
+  await bot.advanceTo('2026-10-21 09:00');
+  assert.equal((await bot.logs('bot_started')).length, 1);
+});
+
+test('開始時刻を過ぎて起動しても猶予内なら遅れて始める', async t => {
+  const bot = await startBot({ start: '2026-10-20 08:10' });
+  t.after(bot.stop);
+
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+  const [caughtUp] = await bot.logs('start_caught_up');
+  assert.match(caughtUp.message, /2026-10-20 08:00, 10min late/);
+});
+
+test('猶予を過ぎてから起動した日は始めない', async t => {
+  const bot = await startBot({ start: '2026-10-20 08:16' });
+  t.after(bot.stop);
+
+  assert.equal(bot.pushes(TARGET_ID).length, 0);
+  await bot.advanceTo('2026-10-21 08:00');
+  assert.equal((await bot.logs('bot_started')).length, 1);
+});
+
+test('すでに始めていれば再起動しても同じ日の起床確認を繰り返さない', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wakeup-bot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'storage.json');
+  const env = { STORAGE: 'file', STORAGE_FILE: file };
+
+  const first = await startBot({ start: '2026-10-20 08:00', env });
+  assert.equal((await first.logs('bot_started')).length, 1);
+  await first.stop();
+  await first.storage().close();
+
+  const second = await startBot({ start: '2026-10-20 08:05', env });
+  try {
+    assert.equal((await second.logs('bot_started')).length, 1);
+    assert.equal(second.pushes(TARGET_ID).length, 0);
+  } finally {
+    await second.stop();
+  }
+});
+
+test('起床確認を始めている途中で予約し直しても二重に始めない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  // 開始ログの保存を待っている間にスケジュールの変更で予約し直させる
+  const storage = bot.storage();
+  const appendLog = storage.appendLog;
+  let replanned = false;
+  storage.appendLog = async (...args) => {
+    if (args[0].eventType === 'bot_started' && !replanned) {
+      replanned = true;
+      await bot.send(ADMIN_ID, '除外 明日');
+      await bot.clock.advanceTo(bot.clock.now());
+    }
+    return appendLog.apply(storage, args);
+  };
+
+  await bot.advanceTo('08:00');
+  assert.ok(replanned);
+  assert.equal((await bot.logs('bot_started')).length, 1);
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+test('起床確認は開始時刻に始まり、リマインド間隔ごとに送る', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('07:59');
+  assert.equal(bot.pushes(TARGET_ID).length, 0);
+  await bot.advanceTo('08:00');
+  assert.deepEqual(bot.pushes(TARGET_ID), ['おはよう〜！起きてる？？👀']);
+  await bot.advanceTo('08:10');
+  assert.equal(bot.pushes(TARGET_ID).length, 3);
+});
+
+test('スヌーズ中は送らず、明けたら送り直す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:02');
+  assert.match(await bot.send(TARGET_ID, 'あと10分'), /10分後にまた起こすね/);
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['😴 Utarget がスヌーズしました（10分）']);
+
+  await bot.advanceTo('08:11');
+  assert.equal(bot.pushes(TARGET_ID).length, 1);
+  await bot.advanceTo('08:12');
+  assert.equal(bot.pushes(TARGET_ID).length, 2);
+  assert.equal((await bot.logs('snooze_requested')).length, 1);
+});
+
+test('文中に「あと○分」を含むだけの返信はスヌーズにしない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:02');
+  await bot.send(TARGET_ID, '会議まであと5分だよ');
+  assert.equal((await bot.logs('snooze_requested')).length, 0);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+
+  assert.match(await bot.send(TARGET_ID, 'あと5分だけ！'), /5分後にまた起こすね/);
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['😴 Utarget がスヌーズしました（5分）']);
+});
+
+test('スヌーズ上限を超える分数は断る', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, 'あと20分');
+  assert.match(await bot.send(TARGET_ID, 'あと15分'), /10分/);
+  assert.equal((await bot.logs('snooze_rejected')).length, 1);
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+});
+
+test('チャレンジに正解すると起床になり、間違えると残り回数を返す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(ADMIN_ID, 'チャレンジ設定 単語 1 2');
+  await bot.advanceTo('08:01');
+  assert.match(await bot.send(TARGET_ID, '起きた'), /この問題に答えてね/);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+
+  assert.match(await bot.send(TARGET_ID, 'ちがう'), /あと1回/);
+  const { answer } = bot.bot.sessions.get(TARGET_ID).challenge;
+  assert.match(await bot.send(TARGET_ID, answer), /おはよう/);
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['🟢 Utarget が起きました！（チャレンジ正解）']);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, false);
+});
+
+test('チャレンジを規定回数間違えると見守る人に知らせて起床確認を続ける', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(ADMIN_ID, 'チャレンジ設定 単語 1 1');
+  await bot.advanceTo('08:01');
+  await bot.send(TARGET_ID, '起きた');
+  assert.match(await bot.send(TARGET_ID, 'ちがう'), /❌/);
+  assert.match(bot.pushes(WATCHER_ID)[0], /起床チャレンジに失敗/);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+});
+
+test('返事がないまま最後の段階に達すると通知して終了する', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:59');
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  await bot.advanceTo('09:00');
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['⚠️ Utarget は60分返事がありませんでした…']);
+  assert.equal((await bot.logs('timeout_notification')).length, 1);
+
+  const sent = bot.pushes(TARGET_ID).length;
+  await bot.advanceTo('10:00');
+  assert.equal(bot.pushes(TARGET_ID).length, sent);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, false);
+});
+
+test('途中の段階は指定した相手に送り、最後の段階まで続ける', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(ADMIN_ID, '段階追加 15 Uextra まだ寝てるみたい');
+  await bot.advanceTo('08:15');
+  assert.deepEqual(bot.pushes('Uextra'), ['まだ寝てるみたい']);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+});
+
+test('「起きた」で始まるだけの否定の返事は起床として扱わない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:03');
+  for (const text of ['起きたくない', '起きてるわけない']) {
+    await bot.send(TARGET_ID, text);
+  }
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+  assert.equal(bot.pushes(WATCHER_ID).length, 0);
+  assert.equal((await bot.logs('user_responded')).length, 0);
+
+  assert.match(await bot.send(TARGET_ID, '起きたよ！'), /おはよう/);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, false);
+});
+
+test('チャレンジ設定中も否定の返事では出題しない', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(ADMIN_ID, 'チャレンジ設定 単語 1 2');
+  await bot.advanceTo('08:03');
+  await bot.send(TARGET_ID, '起きたくない');
+  assert.equal(bot.bot.sessions.get(TARGET_ID).challenge, null);
+  assert.equal((await bot.logs('challenge_sent')).length, 0);
+});
+
+test('管理者を兼ねるターゲットは起床確認中もコマンドを使える', async t => {
+  const bot = await startBot({ env: { ADMIN_USER_IDS: `${ADMIN_ID},${TARGET_ID}` } });
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:02');
+  assert.match(await bot.send(TARGET_ID, '除外 明日'), /除外/);
+  assert.deepEqual((await bot.storage().loadSchedule(TARGET_ID)).exclude, ['2026-10-21']);
+  assert.equal((await bot.logs('response_unrecognized')).length, 0);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+
+  assert.match(await bot.send(TARGET_ID, '起きた'), /おはよう/);
+});
+
+test('起床確認中のコマンドは管理者でなければ申請の案内を返す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:02');
+  assert.match(await bot.send(TARGET_ID, 'ヘルプ'), /休み 明日/);
+  assert.equal((await bot.logs('response_unrecognized')).length, 0);
+  assert.equal(bot.bot.sessions.get(TARGET_ID).active, true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVirtualClock, runSimulation } = require('../simulate');
+
+test('仮想時計は期限順にタイマーを実行し、インターバルは繰り返す', async () => {
+  const clock = createVirtualClock(0);
+  const calls = [];
+  clock.setTimeout(() => calls.push(`b@${clock.now()}`), 2000);
+  clock.setTimeout(() => calls.push(`a@${clock.now()}`), 1000);
+  const intervalId = clock.setInterval(() => calls.push(`i@${clock.now()}`), 1500);
+
+  await clock.advanceTo(3000);
+  assert.deepEqual(calls, ['a@1000', 'i@1500', 'b@2000', 'i@3000']);
+  assert.equal(clock.now(), 3000);
+
+  clock.clearInterval(intervalId);
+  await clock.advanceTo(10000);
+  assert.equal(calls.length, 4);
+});
+
+test('タイマーの中で追加したタイマーも同じ advanceTo で実行する', async () => {
+  const clock = createVirtualClock(0);
+  const calls = [];
+  clock.setTimeout(() => {
+    calls.push('outer');
+    clock.setTimeout(() => calls.push('inner'), 500);
+  }, 1000);
+
+  await clock.advanceTo(1500);
+  assert.deepEqual(calls, ['outer', 'inner']);
+});
+
+test('シナリオの返信を時刻どおりに流し、送信とログを記録する', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wakeup-bot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const scenario = path.join(dir, 'scenario.json');
+  fs.writeFileSync(scenario, JSON.stringify({ events: [{ at: '08:03', from: 'default', text: '起きた' }] }));
+  Object.assign(process.env, { TARGET_USER_ID: 'Utarget', NOTIFY_USER_IDS: 'Uwatcher', TIMEZONE: 'Asia/Tokyo' });
+
+  const { outbox, incoming, logs } = await runSimulation({ start: '2026-10-20', days: 2, scenario });
+  assert.equal(incoming.length, 2);
+  assert.deepEqual(
+    outbox.filter(item => item.to === 'Uwatcher').map(item => item.messages[0].text),
+    ['🟢 default が起きました！（起きた）', '🟢 default が起きました！（起きた）']
+  );
+  const started = logs.filter(log => log.eventType === 'bot_started').map(log => new Date(log.timestamp).toISOString());
+  assert.deepEqual(started, ['2026-10-19T23:00:00.000Z', '2026-10-20T23:00:00.000Z']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startBot } = require('./harness');
+
+// テストの終わりに消える一時ディレクトリ内のファイル
+function tempFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wakeup-bot-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+test('ストレージの初期化に失敗したらメモリストレージで続けずに起動を止める', async t => {
+  const file = tempFile(t, 'storage.json');
+  fs.writeFileSync(file, '{ broken');
+
+  await assert.rejects(startBot({ env: { STORAGE: 'file', STORAGE_FILE: file } }), SyntaxError);
+  // 壊れたファイルはそのまま残す
+  assert.equal(fs.readFileSync(file, 'utf8'), '{ broken');
+});
+
+test('ファイルストレージは変更をまとめて一時ファイル経由で書き出す', async t => {
+  const file = tempFile(t, 'storage.json');
+  const bot = await startBot({ env: { STORAGE: 'file', STORAGE_FILE: file }, scheduler: false });
+  t.after(bot.stop);
+
+  const storage = bot.storage();
+  await storage.appendLog({ eventType: 'test', userId: 'Utarget', message: '1', timestamp: new Date(bot.clock.now()).toISOString() });
+  await storage.appendLog({ eventType: 'test', userId: 'Utarget', message: '2', timestamp: new Date(bot.clock.now()).toISOString() });
+  // 変更のたびには書き込まない
+  assert.equal(fs.existsSync(file), false);
+
+  await bot.clock.advanceTo(bot.clock.now() + 1000);
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(saved.logs.filter(log => log.eventType === 'test').map(log => log.message), ['1', '2']);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+  // 終了時は書き残しを書き出す
+  await storage.appendLog({ eventType: 'test', userId: 'Utarget', message: '3', timestamp: new Date(bot.clock.now()).toISOString() });
+  await storage.close();
+  const logs = JSON.parse(fs.readFileSync(file, 'utf8')).logs;
+  assert.equal(logs.filter(log => log.eventType === 'test').length, 3);
+});
+
+test('ファイルストレージは1年分の統計に足りるだけログを残す', async t => {
+  const file = tempFile(t, 'storage.json');
+  const bot = await startBot({ env: { STORAGE: 'file', STORAGE_FILE: file }, scheduler: false });
+  t.after(bot.stop);
+
+  const storage = bot.storage();
+  for (let i = 0; i < 5000; i++) {
+    await storage.appendLog({ eventType: 'test', userId: 'Utarget', message: String(i), timestamp: new Date(bot.clock.now()).toISOString() });
+  }
+  await storage.close();
+  assert.equal((await storage.loadLogs({ eventTypes: ['test'] })).length, 5000);
+});
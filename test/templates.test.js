@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+test('リマインダーは何通目かで文面を選び、最後の文面を繰り返す', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:20');
+  assert.deepEqual(bot.pushes(TARGET_ID), [
+    'おはよう〜！起きてる？？👀',
+    'まだ寝てる？もう5分たったよ⏰',
+    'おーい！Utarget、起きて〜！📣',
+    '4通目だよ！そろそろ本当に起きて😱',
+    '5通目だよ！そろそろ本当に起きて😱'
+  ]);
+});
+
+test('追加した文面は変数を埋めて送り、リセットで既定の文面に戻る', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート追加 wakeup おはよう{name}さん、{start}だよ'), /2番目の文面を追加しました/);
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート削除 wakeup 1'), /1番目の文面を削除しました/);
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート一覧'), /■ wakeup（起床確認の1通目）\n {2}ランダム\n {2}1\. おはよう\{name\}さん、\{start\}だよ\n/);
+
+  await bot.advanceTo('08:00');
+  assert.deepEqual(bot.pushes(TARGET_ID), ['おはようUtargetさん、08:00だよ']);
+  await bot.send(TARGET_ID, '起きた');
+
+  assert.match(await bot.send(ADMIN_ID, 'テンプレートリセット wakeup'), /既定値に戻しました/);
+  await bot.advanceTo('2026-10-21 08:00');
+  assert.equal(bot.pushes(TARGET_ID).at(-1), 'おはよう〜！起きてる？？👀');
+});
+
+test('順番にすると送るたびに次の文面を使う', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.send(ADMIN_ID, 'テンプレート追加 awake_notify ☀️ {name} 起床（{minutes}分）');
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート順番 awake_notify 順番'), /選び方を順番にしました/);
+
+  await bot.advanceTo('08:03');
+  await bot.send(TARGET_ID, '起きた');
+  await bot.advanceTo('2026-10-21 08:04');
+  await bot.send(TARGET_ID, '起きた');
+  assert.deepEqual(bot.pushes(WATCHER_ID), ['🟢 Utarget が起きました！（起きた）', '☀️ Utarget 起床（4分）']);
+});
+
+test('テンプレートの編集は存在するキーと番号だけ受け付ける', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート追加 nope こんにちは'), /テンプレートが見つかりません/);
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート削除 wakeup 2'), /❌/);
+  assert.match(await bot.send(ADMIN_ID, 'テンプレート順番 wakeup 逆順'), /❌/);
+  assert.deepEqual(await bot.storage().loadTemplates(), {});
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startBot, TARGET_ID, WATCHER_ID, ADMIN_ID } = require('./harness');
+
+// LINE と同じ署名をつけて /webhook に送る（LINE_CHANNEL_SECRET はハーネスの 'test'）
+async function postWebhook(app, events) {
+  const body = JSON.stringify({ destination: 'Ubot', events });
+  const signature = crypto.createHmac('sha256', 'test').update(body).digest('base64');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/webhook',
+        headers: { 'content-type': 'application/json', 'x-line-signature': signature }
+      }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function textEvent(bot, userId, text, id, { isRedelivery = false } = {}) {
+  return {
+    type: 'message',
+    mode: 'active',
+    timestamp: bot.clock.now(),
+    webhookEventId: id,
+    deliveryContext: { isRedelivery },
+    replyToken: `reply-${id}`,
+    source: { type: 'user', userId },
+    message: { type: 'text', id: `message-${id}`, text }
+  };
+}
+
+test('返信を待たずに200を返し、同じユーザーのイベントは受信順に処理する', async t => {
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const replies = [];
+  const bot = await startBot({
+    scheduler: false,
+    client: original => ({
+      async replyMessage(replyToken, messages) {
+        if (replyToken === 'reply-e1') {
+          await blocked;
+        }
+        replies.push(replyToken);
+        return original.replyMessage(replyToken, messages);
+      }
+    })
+  });
+  t.after(bot.stop);
+
+  const status = await postWebhook(bot.bot.app, [
+    textEvent(bot, ADMIN_ID, '一覧', 'e1'),
+    textEvent(bot, ADMIN_ID, 'ヘルプ', 'e2'),
+    textEvent(bot, WATCHER_ID, 'ヘルプ', 'e3')
+  ]);
+  assert.equal(status, 200);
+  await new Promise(resolve => setImmediate(resolve));
+  // 別のユーザーのイベントは先に進む
+  assert.deepEqual(replies, ['reply-e3']);
+
+  release();
+  await bot.bot.drainEventQueues();
+  assert.deepEqual(replies, ['reply-e3', 'reply-e1', 'reply-e2']);
+});
+
+test('同じ webhookEventId の再送は一度だけ処理する', async t => {
+  const bot = await startBot();
+  t.after(bot.stop);
+
+  await bot.advanceTo('08:01');
+  const event = textEvent(bot, TARGET_ID, '起きた', 'awake');
+  assert.equal(await postWebhook(bot.bot.app, [event]), 200);
+  await bot.bot.drainEventQueues();
+  assert.equal(await postWebhook(bot.bot.app, [{ ...event, deliveryContext: { isRedelivery: true } }]), 200);
+  await bot.bot.drainEventQueues();
+
+  assert.equal((await bot.logs('user_responded')).length, 1);
+  assert.equal(bot.pushes(WATCHER_ID).length, 1);
+  const [duplicate] = await bot.logs('webhook_duplicate');
+  assert.equal(duplicate.message, 'message: awake');
+});
+
+test('署名が正しくない Webhook は処理しない', async t => {
+  const bot = await startBot({ scheduler: false });
+  t.after(bot.stop);
+
+  const server = bot.bot.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const status = await new Promise((resolve, reject) => {
+    const req = http.request({
+      port: server.address().port,
+      method: 'POST',
+      path: '/webhook',
+      headers: { 'content-type': 'application/json', 'x-line-signature': 'invalid' }
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ events: [textEvent(bot, ADMIN_ID, '一覧', 'forged')] }));
+  });
+  await new Promise(resolve => server.close(resolve));
+
+  assert.notEqual(status, 200);
+  await bot.bot.drainEventQueues();
+  assert.equal((await bot.logs('command_received')).length, 0);
+});